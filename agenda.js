@@ -1,7 +1,9 @@
 const Agenda = require("agenda");
-const mongoose = require("mongoose");
 const Attempt = require("./models/Attempt");
 const Quiz = require("./models/Quiz");
+const { submitAttempt, regradeAttempts } = require("./services/grading");
+const { advanceSection } = require("./services/sections");
+const { getAttemptQuiz } = require("./services/quizVersions");
 
 const agenda = new Agenda({ db: { address: process.env.MONGO_URI } });
 
@@ -16,34 +18,93 @@ agenda.define("auto-submit attempt", async (job) => {
       return;
     }
 
-    if (attempt.status === "submitted") {
+    if (attempt.status !== "in-progress") {
       console.log(`Attempt ${attemptId} already submitted.`);
       return;
     }
 
-    const quiz = attempt.quizId;
-    let score = 0;
+    if (!attempt.quizId) {
+      console.log(`Quiz for attempt ${attemptId} not found.`);
+      return;
+    }
+    const quiz = await getAttemptQuiz(attempt.quizId, attempt);
+
+    const submitted = await submitAttempt(attempt, quiz);
+    if (!submitted) {
+      console.log(`Attempt ${attemptId} already submitted.`);
+      return;
+    }
+
+    console.log(`Auto-submitted attempt ${attemptId}.`);
+  } catch (error) {
+    console.error(`Error auto-submitting attempt ${attemptId}:`, error);
+  }
+});
+
+agenda.define("advance attempt section", async (job) => {
+  const { attemptId, section } = job.attrs.data;
+
+  try {
+    const attempt = await Attempt.findById(attemptId).populate("quizId");
+
+    if (!attempt) {
+      console.log(`Attempt ${attemptId} not found.`);
+      return;
+    }
+
+    if (!attempt.quizId) {
+      console.log(`Quiz for attempt ${attemptId} not found.`);
+      return;
+    }
+    const quiz = await getAttemptQuiz(attempt.quizId, attempt);
 
-    attempt.answers.forEach((ans) => {
-      const question = quiz.questions.find(
-        (q) => q._id.toString() === ans.questionId.toString()
-      );
-      if (question && question.correctAnswer === ans.selectedAnswer) {
-        score++;
-      }
+    const advanced = await advanceSection(attempt, quiz, section);
+    if (!advanced) {
+      console.log(`Attempt ${attemptId} already left section ${section}.`);
+      return;
+    }
+
+    if (advanced.submitted) {
+      console.log(`Auto-submitted attempt ${attemptId} after last section.`);
+      return;
+    }
+
+    await agenda.schedule(advanced.attempt.endTime, "advance attempt section", {
+      attemptId: advanced.attempt._id,
+      section: advanced.attempt.currentSection,
     });
+    console.log(`Attempt ${attemptId} moved to section ${section + 1}.`);
+  } catch (error) {
+    console.error(`Error advancing attempt ${attemptId}:`, error);
+  }
+});
 
-    attempt.status = "submitted";
-    attempt.score = score;
-    await attempt.save();
+agenda.define("regrade quiz", async (job) => {
+  const { quizId, requestedBy } = job.attrs.data;
 
-    quiz.totalScore += score;
-    quiz.attemptCount += 1;
-    await quiz.save();
+  try {
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) throw new Error(`Quiz ${quizId} not found`);
 
-    console.log(`Auto-submitted attempt ${attemptId}.`);
+    const summary = await regradeAttempts(quiz, {
+      by: requestedBy,
+      jobId: job.attrs._id,
+      // Saves the progress for the status endpoint and extends the lock
+      onProgress: async (progress) => {
+        job.attrs.data.progress = progress;
+        await job.touch();
+      },
+    });
+
+    job.attrs.data.progress = summary;
+    await job.save();
+    console.log(
+      `Regraded quiz ${quizId}: ${summary.regraded} of ${summary.total} attempts changed.`
+    );
   } catch (error) {
-    console.error(`Error auto-submitting attempt ${attemptId}:`, error);
+    console.error(`Error regrading quiz ${quizId}:`, error);
+    // Rethrow so Agenda records the failure for the status endpoint
+    throw error;
   }
 });
 
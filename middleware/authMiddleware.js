@@ -15,6 +15,12 @@ const authenticateJWT = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({ message: "Unauthorized" }); // User not found
     }
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: "Unauthorized" }); // Revoked
+    }
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" });
+    }
 
     req.user = user;
     next();
@@ -0,0 +1,31 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+/**
+ * Set req.user when a valid token is sent, but let anonymous requests
+ * through too. For public routes that show more to signed-in users.
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return next();
+
+  try {
+    const decoded = jwt.verify(
+      authHeader.split(" ")[1],
+      process.env.JWT_SECRET
+    );
+    const user = await User.findById(decoded.userId);
+    if (
+      user &&
+      !user.suspended &&
+      (decoded.tokenVersion || 0) === user.tokenVersion
+    ) {
+      req.user = user;
+    }
+  } catch (err) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+  next();
+};
+
+module.exports = optionalAuth;
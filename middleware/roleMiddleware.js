@@ -0,0 +1,14 @@
+/**
+ * Only let users with one of the given roles through. Must run after
+ * authenticateJWT, which sets req.user.
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    next();
+  };
+
+module.exports = requireRole;
@@ -13,24 +13,92 @@ const AttemptSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  quizVersion: { type: Number, default: 1 }, // Quiz version the attempt is graded against
   quizTitle: { type: String, default: "" },
   userName: { type: String, default: "" },
   startTime: { type: Date, default: Date.now },
   endTime: { type: Date, default: Date.now },
-  score: { type: Number, default: null }, // Null if not submitted yet
+  submittedAt: { type: Date, default: null },
+  score: { type: Number, default: null }, // Raw score, null if not submitted yet
+  maxScore: { type: Number, default: null },
+  percentage: { type: Number, default: null },
   status: {
     type: String,
-    enum: ["in-progress", "submitted"],
+    enum: ["in-progress", "pending-review", "submitted"], // pending-review: essays await grading
     default: "in-progress",
   },
+  // Sectioned quizzes only. endTime always holds the current section's deadline.
+  currentSection: { type: Number, default: null },
+  sectionTimes: [
+    {
+      _id: false,
+      section: { type: Number, required: true },
+      startTime: { type: Date, default: null },
+      endTime: { type: Date, default: null },
+      lockedAt: { type: Date, default: null },
+    },
+  ],
+  // Drawn questions in display order, empty when the quiz is not randomised
+  questionOrder: [{ type: mongoose.Schema.Types.ObjectId }],
+  optionOrder: [
+    {
+      _id: false,
+      questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      options: [{ type: String }],
+    },
+  ],
   answers: [
     {
       questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
-      selectedAnswer: { type: String, required: true },
+      // String, or an array of strings for multiple-select, ordering and matching
+      selectedAnswer: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+  ],
+  sectionScores: [
+    {
+      _id: false,
+      section: { type: Number, required: true },
+      title: { type: String, default: "" },
+      score: { type: Number, default: 0 },
+      maxScore: { type: Number, default: 0 },
+    },
+  ],
+  // Per-question breakdown, filled in by the grading service on submit
+  results: [
+    {
+      _id: false,
+      questionId: { type: mongoose.Schema.Types.ObjectId, required: true },
+      status: {
+        type: String,
+        enum: ["correct", "partial", "incorrect", "unanswered", "pending"],
+        required: true,
+      },
+      pointsAwarded: { type: Number, default: 0 },
+      comment: { type: String, default: null }, // Creator feedback on essays
+      gradedAt: { type: Date, default: null },
+    },
+  ],
+  // Audit trail of the regrades applied to this attempt
+  regrades: [
+    {
+      _id: false,
+      at: { type: Date, default: Date.now },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      jobId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      fromVersion: { type: Number, default: null },
+      toVersion: { type: Number, default: null },
+      oldScore: { type: Number, default: null },
+      newScore: { type: Number, default: null },
     },
   ],
 });
 
 AttemptSchema.index({ userId: 1, quizId: 1 }); // Composite index for efficient lookups
+AttemptSchema.index({ quizId: 1, status: 1, score: -1 }); // Analytics and rankings
+// Only one in-progress attempt per user and quiz
+AttemptSchema.index(
+  { userId: 1, quizId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "in-progress" } }
+);
 
 module.exports = mongoose.model("Attempt", AttemptSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// One-time codes the frontend exchanges for tokens after OAuth sign-in
+const AuthCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  codeHash: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+});
+
+AuthCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthCode", AuthCodeSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+const QuestionSchema = require("./QuestionSchema");
+
+const BankQuestionSchema = QuestionSchema.clone();
+BankQuestionSchema.add({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  topic: { type: String, default: null },
+  tags: [{ type: String }],
+  difficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
+    default: "medium",
+  },
+  version: { type: Number, default: 1 }, // Bumped on every edit
+  createdAt: { type: Date, default: Date.now },
+  lastEdited: { type: Date, default: null },
+});
+
+BankQuestionSchema.index({ createdBy: 1, topic: 1, difficulty: 1 });
+
+module.exports = mongoose.model("BankQuestion", BankQuestionSchema);
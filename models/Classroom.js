@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A teacher's class. Students join with the invite code; quizzes assigned
+// to a class are only visible to its members.
+const ClassroomSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: "" },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  teacherName: { type: String, default: "" },
+  inviteCode: { type: String, required: true, unique: true },
+  members: [
+    {
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      name: { type: String, default: "" },
+      joinedAt: { type: Date, default: Date.now },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+});
+
+ClassroomSchema.index({ "members.userId": 1 });
+
+module.exports = mongoose.model("Classroom", ClassroomSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const EMAIL_TOKEN_PURPOSES = ["verify-email", "reset-password", "magic-link"];
+
+// One-time tokens mailed to users. Only a hash of the token is stored.
+const EmailTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: { type: String, enum: EMAIL_TOKEN_PURPOSES, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+});
+
+EmailTokenSchema.index({ userId: 1, purpose: 1 });
+EmailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EmailToken", EmailTokenSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const MODERATION_ACTIONS = [
+  "change-role",
+  "suspend-user",
+  "unsuspend-user",
+  "unpublish-quiz",
+  "delete-quiz",
+];
+
+// Admin actions, newest first in the moderation log
+const ModerationLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  adminName: { type: String, default: "" },
+  action: { type: String, enum: MODERATION_ACTIONS, required: true },
+  targetType: { type: String, enum: ["User", "Quiz"], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Kept so the entry stays readable after the target is deleted
+  targetName: { type: String, default: "" },
+  reason: { type: String, default: "" },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ModerationLogSchema.index({ createdAt: -1 });
+ModerationLogSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model("ModerationLog", ModerationLogSchema);
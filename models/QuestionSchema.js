@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Shared by quizzes and the question bank
+const QuestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      "multiple-choice",
+      "short-answer",
+      "true-false",
+      "multiple-select",
+      "ordering",
+      "matching",
+      "essay",
+    ],
+    required: true,
+  },
+  questionText: { type: String, required: true },
+  options: [{ type: String }], // Choices, or the items to order
+  // Used by multiple-choice, short-answer and true-false
+  correctAnswer: {
+    type: String,
+    required: function () {
+      return ["multiple-choice", "short-answer", "true-false"].includes(
+        this.type
+      );
+    },
+  },
+  // Correct choices for multiple-select, correct order for ordering
+  correctAnswers: [{ type: String }],
+  pairs: [{ _id: false, left: String, right: String }], // Only used for matching
+  partialCredit: { type: Boolean, default: false }, // multiple-select, ordering, matching
+  explanation: { type: String, default: null },
+  points: { type: Number, default: 1, min: 0 }, // Awarded for a correct answer
+  penalty: { type: Number, default: 0, min: 0 }, // Deducted for an incorrect answer
+  // Only used for short-answer
+  matching: {
+    caseInsensitive: { type: Boolean, default: false },
+    normalizeWhitespace: { type: Boolean, default: false },
+    ignorePunctuation: { type: Boolean, default: false },
+    acceptedAnswers: [{ type: String }],
+    numeric: { type: Boolean, default: false },
+    tolerance: { type: Number, default: 0, min: 0 },
+    pattern: { type: String, default: null },
+  },
+});
+
+module.exports = QuestionSchema;
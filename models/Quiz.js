@@ -1,15 +1,16 @@
 const mongoose = require("mongoose");
+const QuestionSchema = require("./QuestionSchema");
 
-const QuestionSchema = new mongoose.Schema({
-  type: {
-    type: String,
-    enum: ["multiple-choice", "short-answer"],
-    required: true,
+// Quiz questions can be snapshots of question bank entries
+const QuizQuestionSchema = QuestionSchema.clone();
+QuizQuestionSchema.add({
+  bankQuestionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BankQuestion",
+    default: null,
   },
-  questionText: { type: String, required: true },
-  options: [{ type: String }], // Only used for multiple-choice
-  correctAnswer: { type: String, required: true },
-  explanation: { type: String, default: null },
+  bankVersion: { type: Number, default: null },
+  section: { type: Number, default: null }, // Index into the quiz's sections
 });
 
 const QuizSchema = new mongoose.Schema({
@@ -19,23 +20,46 @@ const QuizSchema = new mongoose.Schema({
   coverImage: { type: String },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   creatorName: { type: String },
-  questions: [QuestionSchema],
+  questions: [QuizQuestionSchema],
+  // Ordered sub-tests, each with its own timer. Empty for a single timer.
+  sections: [
+    {
+      title: { type: String, required: true },
+      duration: { type: Number, required: true }, // Minutes
+    },
+  ],
   timeLimit: { type: Number, default: 120 },
   maxAttemptsPerUser: { type: Number, default: null },
-  totalScore: { type: Number, default: 0 },
+  shuffleQuestions: { type: Boolean, default: false },
+  shuffleOptions: { type: Boolean, default: false },
+  questionsPerAttempt: { type: Number, default: null }, // Null uses every question
+  leaderboardEnabled: { type: Boolean, default: true }, // Public leaderboard
+  anonymizeLeaderboard: { type: Boolean, default: false },
+  leaderboardPolicy: { type: String, enum: ["best", "first"], default: "best" },
+  totalScore: { type: Number, default: 0 }, // Maximum score, computed from question points
+  scoreSum: { type: Number, default: 0 }, // Sum of all submitted attempt scores
   attemptCount: { type: Number, default: 0 },
+  version: { type: Number, default: 1 }, // Bumped on every edit, see QuizVersion
   createdAt: { type: Date, default: Date.now },
   lastEdited: { type: Date, default: null },
 
   dateOpens: { type: Date, required: true },
   dateCloses: { type: Date, required: true },
   published: { type: Boolean, default: false },
+  // Only members of these classes can see and take the quiz. Empty is public.
+  classes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Classroom" }],
 });
 
+QuizSchema.index({ classes: 1 });
+
 QuizSchema.pre("save", function (next) {
   if (this.isModified()) {
     this.lastEdited = new Date();
   }
+  this.totalScore = this.questions.reduce((sum, q) => sum + q.points, 0);
+  if (this.sections.length > 0) {
+    this.timeLimit = this.sections.reduce((sum, s) => sum + s.duration, 0);
+  }
   next();
 });
 
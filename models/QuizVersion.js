@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const Quiz = require("./Quiz");
+
+// Snapshot of a quiz's content after each edit. Attempts pin the version
+// they were started on, so they keep being graded against it.
+const QuizVersionSchema = new mongoose.Schema({
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    required: true,
+  },
+  version: { type: Number, required: true },
+  // errata: text-only fix that keeps the grading of the previous version
+  kind: { type: String, enum: ["edit", "errata"], default: "edit" },
+  note: { type: String, default: "" },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+
+  title: { type: String },
+  description: { type: String },
+  timeLimit: { type: Number },
+  questionsPerAttempt: { type: Number, default: null },
+  sections: [Quiz.schema.path("sections").schema],
+  questions: [Quiz.schema.path("questions").schema],
+  totalScore: { type: Number, default: 0 },
+});
+
+QuizVersionSchema.index({ quizId: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("QuizVersion", QuizVersionSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// One row per issued refresh token. Only a hash of the token is stored.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  // Every token rotated from the same sign-in shares a family
+  family: { type: String, required: true },
+  tokenVersion: { type: Number, required: true }, // User.tokenVersion at issue
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+});
+
+RefreshTokenSchema.index({ userId: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// MongoDB drops expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -1,10 +1,32 @@
 const mongoose = require("mongoose");
 
+const ROLES = ["student", "creator", "admin"];
+
 const UserSchema = new mongoose.Schema({
-  googleId: { type: String, required: true, unique: true },
+  // Unset for accounts that only sign in with a password or magic link
+  googleId: { type: String, unique: true, sparse: true },
   name: String,
-  email: { type: String, required: true, unique: true },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  passwordHash: { type: String, default: null, select: false },
+  emailVerified: { type: Boolean, default: false },
   avatar: String,
+  bio: { type: String, default: "" },
+  school: { type: String, default: "" },
+  timezone: { type: String, default: null }, // IANA name, e.g. Asia/Jakarta
+  // Everyone could create quizzes before roles existed, so accounts saved
+  // without a role load as creators; sign-ups set "student" explicitly
+  role: { type: String, enum: ROLES, default: "creator" },
+  suspended: { type: Boolean, default: false }, // Rejected by authenticateJWT
+  suspendedAt: { type: Date, default: null },
+  suspendedReason: { type: String, default: null },
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -1,7 +1,14 @@
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const User = require("./models/User");
-const jwt = require("jsonwebtoken");
+const EmailToken = require("./models/EmailToken");
+const { revokeAllSessions } = require("./services/tokens");
+
+// Accounts that are made admins when they sign in, comma separated
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
 
 passport.use(
   new GoogleStrategy(
@@ -12,18 +19,56 @@ passport.use(
     },
     async (accessToken, refreshToken, profile, done) => {
       try {
+        const { value, verified } = profile.emails[0];
+        const email = value.toLowerCase();
+        const photo = profile.photos && profile.photos[0];
+        const avatar = photo ? photo.value : undefined;
+
         let user = await User.findOne({ googleId: profile.id });
         if (!user) {
-          user = await User.create({
-            googleId: profile.id,
-            name: profile.displayName,
-            email: profile.emails[0].value,
-          });
+          // Link to an existing password account only when Google vouches
+          // for the address
+          user = await User.findOne({ email });
+          if (user && verified === false) {
+            return done(null, false);
+          }
+          if (user) {
+            if (!user.emailVerified) {
+              // Anyone could have registered this address with a password
+              // of their choosing; only the Google owner keeps the account
+              user.passwordHash = null;
+              await EmailToken.deleteMany({ userId: user._id });
+              await revokeAllSessions(user._id);
+              user.name = profile.displayName;
+            }
+            user.googleId = profile.id;
+            user.emailVerified = true;
+            if (!user.avatar) user.avatar = avatar;
+            await user.save();
+          } else {
+            user = await User.create({
+              googleId: profile.id,
+              name: profile.displayName,
+              email,
+              avatar,
+              emailVerified: true,
+              role: "student",
+            });
+          }
+        } else if (!user.emailVerified || (!user.avatar && avatar)) {
+          // Older accounts were saved without either
+          user.emailVerified = true;
+          if (!user.avatar) user.avatar = avatar;
+          await user.save();
+        }
+        if (
+          ADMIN_EMAILS.includes(user.email.toLowerCase()) &&
+          user.role !== "admin"
+        ) {
+          user.role = "admin";
+          await user.save();
         }
-        const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-          expiresIn: "1h",
-        });
-        return done(null, { user, token });
+        return done(null, { user });
       } catch (err) {
         return done(err, null);
       }
@@ -0,0 +1,496 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const User = require("../models/User");
+const Quiz = require("../models/Quiz");
+const Attempt = require("../models/Attempt");
+const QuizVersion = require("../models/QuizVersion");
+const ModerationLog = require("../models/ModerationLog");
+const authenticateJWT = require("../middleware/authMiddleware"); // Middleware to verify token
+const requireRole = require("../middleware/roleMiddleware");
+const agenda = require("../agenda");
+const { revokeAllSessions } = require("../services/tokens");
+const { parsePagination } = require("../services/pagination");
+
+const ROLES = User.schema.path("role").enumValues;
+const MODERATION_ACTIONS = ModerationLog.schema.path("action").enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const logAction = (req, action, target, targetType, reason, details = null) =>
+  ModerationLog.create({
+    admin: req.user._id,
+    adminName: req.user.name,
+    action,
+    targetType,
+    targetId: target._id,
+    targetName: targetType === "User" ? target.email : target.title,
+    reason: reason || "",
+    details,
+  });
+
+// Every admin route needs an authenticated admin
+router.use(authenticateJWT, requireRole("admin"));
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     description: Admin only. Searches name and email, newest accounts first.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on name or email.
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: ["student", "creator", "admin"]
+ *       - in: query
+ *         name: suspended
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of users.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/users", async (req, res) => {
+  try {
+    const { search, role, suspended } = req.query;
+
+    const filters = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filters.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (role) filters.role = role;
+    if (suspended !== undefined) filters.suspended = suspended === "true";
+
+    const { pageNumber, pageSize, skip } = parsePagination(req.query, 20);
+    const users = await User.find(filters)
+      .select("name email avatar role suspended suspendedAt createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const totalUsers = await User.countDocuments(filters);
+    const totalPages = Math.ceil(totalUsers / pageSize);
+
+    res.json({ users, totalUsers, totalPages, currentPage: pageNumber });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: Admin only. Students can take quizzes, creators can also create them, admins can moderate. Admins cannot change their own role.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: ["student", "creator", "admin"]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role updated.
+ *       400:
+ *         description: Invalid role, or the admin's own account.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put("/users/:userId/role", async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+    if (!ROLES.includes(role))
+      return res
+        .status(400)
+        .json({ error: `Role must be one of ${ROLES.join(", ")}` });
+
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user._id.equals(req.user._id))
+      return res.status(400).json({ error: "You cannot change your own role" });
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await logAction(req, "change-role", user, "User", reason, {
+      from: previousRole,
+      to: role,
+    });
+
+    res.json({ message: "Role updated", user });
+  } catch (error) {
+    console.error("Error changing role:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: Admin only. Suspended users are rejected by every authenticated route and cannot sign in. Their sessions are revoked, so lifting the suspension does not bring them back.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Publishing abusive content"
+ *     responses:
+ *       200:
+ *         description: User suspended.
+ *       400:
+ *         description: Already suspended, or the admin's own account.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/users/:userId/suspend", async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user._id.equals(req.user._id))
+      return res.status(400).json({ error: "You cannot suspend yourself" });
+    if (user.suspended)
+      return res.status(400).json({ error: "User is already suspended" });
+
+    user.suspended = true;
+    user.suspendedAt = new Date();
+    user.suspendedReason = reason || null;
+    await user.save();
+    await revokeAllSessions(user._id);
+    await logAction(req, "suspend-user", user, "User", reason);
+
+    res.json({ message: "User suspended", user });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/unsuspend:
+ *   post:
+ *     summary: Lift a user's suspension
+ *     description: Admin only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Suspension lifted.
+ *       400:
+ *         description: User is not suspended.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/users/:userId/unsuspend", async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.suspended)
+      return res.status(400).json({ error: "User is not suspended" });
+
+    user.suspended = false;
+    user.suspendedAt = null;
+    user.suspendedReason = null;
+    await user.save();
+    await logAction(req, "unsuspend-user", user, "User", reason);
+
+    res.json({ message: "Suspension lifted", user });
+  } catch (error) {
+    console.error("Error lifting suspension:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/quizzes/{quizId}/unpublish:
+ *   post:
+ *     summary: Unpublish any quiz
+ *     description: Admin only. Hides the quiz from listings and stops new attempts. Existing attempts are kept.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quiz unpublished.
+ *       400:
+ *         description: Quiz is not published.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/quizzes/:quizId/unpublish", async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+    if (!quiz.published)
+      return res.status(400).json({ error: "Quiz is not published" });
+
+    // Not an edit, so no new version and lastEdited stays
+    await Quiz.updateOne({ _id: quiz._id }, { $set: { published: false } });
+    await logAction(req, "unpublish-quiz", quiz, "Quiz", reason, {
+      createdBy: quiz.createdBy,
+    });
+
+    res.json({ message: "Quiz unpublished" });
+  } catch (error) {
+    console.error("Error unpublishing quiz:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/quizzes/{quizId}:
+ *   delete:
+ *     summary: Delete any quiz
+ *     description: Admin only. Deletes the quiz even if it has been attempted, together with its attempts, versions and pending jobs.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quiz deleted.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete("/quizzes/:quizId", async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const attemptIds = await Attempt.find({ quizId: quiz._id }).distinct("_id");
+    await agenda.cancel({
+      $or: [
+        { "data.attemptId": { $in: attemptIds } },
+        { "data.quizId": quiz._id },
+      ],
+    });
+    const { deletedCount } = await Attempt.deleteMany({ quizId: quiz._id });
+    await QuizVersion.deleteMany({ quizId: quiz._id });
+    await Quiz.deleteOne({ _id: quiz._id });
+
+    await logAction(req, "delete-quiz", quiz, "Quiz", reason, {
+      createdBy: quiz.createdBy,
+      attemptsDeleted: deletedCount,
+    });
+
+    res.json({ message: "Quiz deleted", attemptsDeleted: deletedCount });
+  } catch (error) {
+    console.error("Error deleting quiz:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/moderation-log:
+ *   get:
+ *     summary: View the moderation log
+ *     description: Admin only. Every admin action with who did it, the target and the reason, newest first.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: ["change-role", "suspend-user", "unsuspend-user", "unpublish-quiz", "delete-quiz"]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Only entries about this user or quiz.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of log entries.
+ *       400:
+ *         description: Unknown action or invalid targetId.
+ *       403:
+ *         description: Forbidden (not an admin).
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/moderation-log", async (req, res) => {
+  try {
+    const { action, targetId } = req.query;
+
+    const filters = {};
+    if (action) {
+      if (!MODERATION_ACTIONS.includes(action))
+        return res.status(400).json({ error: "Unknown action" });
+      filters.action = action;
+    }
+    if (targetId) {
+      if (!mongoose.isValidObjectId(targetId))
+        return res.status(400).json({ error: "Invalid targetId" });
+      filters.targetId = targetId;
+    }
+
+    const { pageNumber, pageSize, skip } = parsePagination(req.query, 20);
+    const entries = await ModerationLog.find(filters)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize);
+
+    const totalEntries = await ModerationLog.countDocuments(filters);
+    const totalPages = Math.ceil(totalEntries / pageSize);
+
+    res.json({ entries, totalPages, currentPage: pageNumber });
+  } catch (error) {
+    console.error("Error fetching moderation log:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
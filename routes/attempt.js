@@ -3,9 +3,34 @@ const Attempt = require("../models/Attempt");
 const User = require("../models/User");
 const Quiz = require("../models/Quiz");
 const authMiddleware = require("../middleware/authMiddleware");
+const { checkEligibility } = require("../services/eligibility");
+const { submitAttempt, gradeEssay } = require("../services/grading");
+const { buildAttemptLayout } = require("../services/shuffle");
+const { startSections, advanceSection } = require("../services/sections");
+const { getAttemptRanking } = require("../services/leaderboard");
+const {
+  streamCsv,
+  streamXlsx,
+  EXPORT_FORMATS,
+} = require("../services/submissionExport");
+const { applyAttemptLayout } = require("../services/quizView");
+const { getAttemptQuiz } = require("../services/quizVersions");
+const {
+  isEmptyAnswer,
+  validateAnswer,
+} = require("../services/answerValidation");
 const router = express.Router();
 const agenda = require("../agenda");
 
+// Extra time accepted after endTime to absorb network lag
+const DEADLINE_GRACE_MS = 15 * 1000;
+
+const isOwner = (attempt, user) =>
+  attempt.userId.toString() === user._id.toString();
+
+const isPastDeadline = (attempt, now = new Date()) =>
+  now.getTime() > attempt.endTime.getTime() + DEADLINE_GRACE_MS;
+
 /**
  * @swagger
  * /attempt/my-attempts:
@@ -90,12 +115,275 @@ router.get("/submissions/:quizId", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /attempt/submissions/{quizId}/pending:
+ *   get:
+ *     summary: Get ungraded essay responses for a quiz
+ *     description: Lists every essay response still waiting for a grade, only accessible to the quiz creator.
+ *     tags:
+ *       - Attempts
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *     responses:
+ *       200:
+ *         description: Returns the ungraded responses.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 responses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       attemptId:
+ *                         type: string
+ *                       userName:
+ *                         type: string
+ *                       questionId:
+ *                         type: string
+ *                       questionText:
+ *                         type: string
+ *                       maxPoints:
+ *                         type: number
+ *                       answer:
+ *                         type: string
+ *       403:
+ *         description: Unauthorized (user is not the quiz creator).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/submissions/:quizId/pending", authMiddleware, async (req, res) => {
+  try {
+    const { quizId } = req.params;
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) return res.status(404).json({ message: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    const attempts = await Attempt.find({
+      quizId,
+      status: "pending-review",
+    }).sort({ submittedAt: 1 });
+
+    const responses = [];
+    attempts.forEach((attempt) => {
+      attempt.results
+        .filter((result) => result.status === "pending")
+        .forEach((result) => {
+          const question = quiz.questions.id(result.questionId);
+          const answer = attempt.answers.find(
+            (ans) => ans.questionId.toString() === result.questionId.toString()
+          );
+          responses.push({
+            attemptId: attempt._id,
+            userName: attempt.userName,
+            questionId: result.questionId,
+            questionText: question ? question.questionText : null,
+            maxPoints: question ? question.points : null,
+            answer: answer ? answer.selectedAnswer : null,
+          });
+        });
+    });
+
+    res.json({ responses });
+  } catch (error) {
+    console.error("Error fetching pending responses", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /attempt/submissions/{quizId}/export:
+ *   get:
+ *     summary: Export all submissions of a quiz
+ *     description: Streams one row per submitted attempt with the taker's name and email, start and end time, duration, score, percentage, and the answer and result for every question. Only accessible to the quiz creator.
+ *     tags:
+ *       - Attempts
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: ["csv", "xlsx"]
+ *           default: csv
+ *         description: File format.
+ *     responses:
+ *       200:
+ *         description: The export file.
+ *         content:
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       400:
+ *         description: Unsupported format.
+ *       403:
+ *         description: Unauthorized (user is not the quiz creator).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/submissions/:quizId/export", authMiddleware, async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { format = "csv" } = req.query;
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) return res.status(404).json({ message: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        message: `Format must be one of ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const filename = `submissions-${quiz._id}.${format}`;
+    res.attachment(filename);
+    if (format === "xlsx") {
+      res.type(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      await streamXlsx(quiz, res);
+    } else {
+      res.type("text/csv; charset=utf-8");
+      await streamCsv(quiz, res);
+    }
+  } catch (error) {
+    console.error("Error exporting submissions", error);
+    // Headers are gone once streaming started
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /attempt/grade:
+ *   post:
+ *     summary: Grade an essay response
+ *     description: Assigns points and a comment to one essay response, only accessible to the quiz creator. The attempt's score is finalised once every essay is graded.
+ *     tags:
+ *       - Attempts
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attemptId:
+ *                 type: string
+ *               questionId:
+ *                 type: string
+ *               points:
+ *                 type: number
+ *                 description: Between 0 and the question's points.
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Response graded. Returns the updated attempt.
+ *       400:
+ *         description: Not an essay question, invalid points, or attempt not submitted yet.
+ *       403:
+ *         description: Unauthorized (user is not the quiz creator).
+ *       404:
+ *         description: Attempt, quiz or question not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/grade", authMiddleware, async (req, res) => {
+  try {
+    const { attemptId, questionId, points, comment } = req.body;
+
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt) return res.status(404).json({ message: "Attempt not found" });
+
+    const currentQuiz = await Quiz.findById(attempt.quizId);
+    if (!currentQuiz)
+      return res.status(404).json({ message: "Quiz not found" });
+
+    if (currentQuiz.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized" });
+    }
+
+    if (attempt.status === "in-progress")
+      return res.status(400).json({ message: "Attempt is not submitted yet" });
+
+    const quiz = await getAttemptQuiz(currentQuiz, attempt);
+    const question = quiz.questions.id(questionId);
+    if (!question)
+      return res.status(404).json({ message: "Question not found" });
+    if (question.type !== "essay")
+      return res
+        .status(400)
+        .json({ message: "Only essay questions are graded manually" });
+
+    const result = attempt.results.find(
+      (result) => result.questionId.toString() === questionId
+    );
+    if (!result || result.status === "unanswered")
+      return res
+        .status(400)
+        .json({ message: "Question was not answered in this attempt" });
+
+    if (
+      typeof points !== "number" ||
+      !Number.isFinite(points) ||
+      points < 0 ||
+      points > question.points
+    )
+      return res.status(400).json({
+        message: `Points must be between 0 and ${question.points}`,
+      });
+    if (comment != null && typeof comment !== "string")
+      return res.status(400).json({ message: "Comment must be a string" });
+
+    const graded = await gradeEssay(attempt, quiz, questionId, points, comment);
+    if (!graded) return res.status(404).json({ message: "Attempt not found" });
+
+    res.json({ message: "Response graded", attempt: graded });
+  } catch (err) {
+    console.error("Error grading response", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /attempt/{attemptId}:
  *   get:
  *     summary: Get a specific quiz attempt
- *     description: Fetches a quiz attempt if it's submitted and the user has access.
+ *     description: Fetches a quiz attempt if it's submitted (or pending essay review) and the user has access. Submitted attempts include their rank and percentile (the share of other takers they beat).
  *     tags:
  *       - Attempts
  *     security:
@@ -126,7 +414,7 @@ router.get("/:attemptId", authMiddleware, async (req, res) => {
     const attempt = await Attempt.findById(attemptId);
 
     if (!attempt) return res.status(404).json({ message: "Attempt not found" });
-    if (attempt.status !== "submitted")
+    if (attempt.status === "in-progress")
       return res.status(403).json({ message: "Attempt is not submitted yet" });
 
     const quiz = attempt.quizId;
@@ -140,10 +428,24 @@ router.get("/:attemptId", authMiddleware, async (req, res) => {
       attempt.userId.toString() === userId.toString() ||
       attemptedQuiz.createdBy.toString() == userId.toString()
     ) {
+      // Ranking is only meaningful once the score is final
+      const ranking =
+        attempt.status === "submitted"
+          ? await getAttemptRanking(
+              attemptedQuiz,
+              attempt,
+              attemptedQuiz.leaderboardPolicy
+            )
+          : null;
+
       return res.json({
         attempt,
-        attemptedQuiz,
+        attemptedQuiz: applyAttemptLayout(
+          await getAttemptQuiz(attemptedQuiz, attempt),
+          attempt
+        ),
         attemptorName: attempt.userName,
+        ranking,
       });
     }
 
@@ -203,12 +505,79 @@ router.get("/quiz/:quizId", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /attempt/eligibility/{quizId}:
+ *   get:
+ *     summary: Check whether the user can start a quiz
+ *     description: Runs the same checks as POST /attempt/start without creating an attempt.
+ *     tags:
+ *       - Attempts
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *     responses:
+ *       200:
+ *         description: Returns the eligibility result.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eligible:
+ *                   type: boolean
+ *                 reason:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [not-published, not-in-class, not-open, closed, attempt-limit-reached, already-in-progress]
+ *                 message:
+ *                   type: string
+ *                   nullable: true
+ *                 attemptsUsed:
+ *                   type: integer
+ *                 attemptsRemaining:
+ *                   type: integer
+ *                   nullable: true
+ *                 attemptId:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/eligibility/:quizId", authMiddleware, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ message: "Quiz not found" });
+
+    const { inProgressAttempt, ...eligibility } = await checkEligibility(
+      quiz,
+      req.user._id
+    );
+
+    res.json({
+      ...eligibility,
+      attemptId: inProgressAttempt ? inProgressAttempt._id : null,
+    });
+  } catch (err) {
+    console.error("Error checking eligibility:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /attempt/start:
  *   post:
  *     summary: Start a new quiz attempt
- *     description: Creates a new quiz attempt for the logged-in user.
+ *     description: Creates a new quiz attempt for the logged-in user, or resumes the in-progress one. The quiz must be published, open, and the user must not have reached the attempt limit.
  *     tags:
  *       - Attempts
  *     security:
@@ -224,8 +593,12 @@ router.get("/quiz/:quizId", authMiddleware, async (req, res) => {
  *                 type: string
  *                 description: The ID of the quiz.
  *     responses:
+ *       200:
+ *         description: Returns the already in-progress attempt (resumed).
  *       201:
- *         description: Returns the newly created quiz attempt.
+ *         description: Returns the newly created quiz attempt. When the quiz shuffles or draws questions, the attempt's questionOrder and optionOrder hold the layout shown to the taker. For quizzes with sections, the attempt starts in section 0 and endTime is that section's deadline.
+ *       403:
+ *         description: User is not eligible to start the quiz. The body contains a `reason` (not-published, not-in-class, not-open, closed, attempt-limit-reached).
  *       404:
  *         description: Quiz not found.
  *       500:
@@ -240,6 +613,16 @@ router.post("/start", authMiddleware, async (req, res) => {
     if (!quiz) return res.status(404).json({ message: "Quiz not found" });
 
     const now = new Date();
+    const eligibility = await checkEligibility(quiz, userId, now);
+    if (eligibility.reason === "already-in-progress") {
+      return res.status(200).json(eligibility.inProgressAttempt);
+    }
+    if (!eligibility.eligible) {
+      return res
+        .status(403)
+        .json({ message: eligibility.message, reason: eligibility.reason });
+    }
+
     const endTime = new Date(
       Math.min(
         quiz.dateCloses.getTime(),
@@ -250,18 +633,41 @@ router.post("/start", authMiddleware, async (req, res) => {
     const attempt = new Attempt({
       userId,
       quizId,
+      quizVersion: quiz.version,
       quizTitle: quiz.title,
       userName: req.user.name,
       status: "in-progress",
       startTime: now,
       endTime,
+      ...buildAttemptLayout(quiz),
+      ...startSections(quiz, now),
     });
-    await attempt.save();
+    try {
+      await attempt.save();
+    } catch (err) {
+      // A concurrent start already created the in-progress attempt
+      if (err.code === 11000) {
+        const existing = await Attempt.findOne({
+          userId,
+          quizId,
+          status: "in-progress",
+        });
+        if (existing) return res.status(200).json(existing);
+      }
+      throw err;
+    }
 
-    // Schedule auto-submit job
-    await agenda.schedule(endTime, "auto-submit attempt", {
-      attemptId: attempt._id,
-    });
+    // Schedule auto-submit job, or the first section's timer
+    if (attempt.currentSection !== null) {
+      await agenda.schedule(attempt.endTime, "advance attempt section", {
+        attemptId: attempt._id,
+        section: attempt.currentSection,
+      });
+    } else {
+      await agenda.schedule(endTime, "auto-submit attempt", {
+        attemptId: attempt._id,
+      });
+    }
 
     res.status(201).json(attempt);
   } catch (err) {
@@ -274,7 +680,7 @@ router.post("/start", authMiddleware, async (req, res) => {
  * /attempt/save:
  *   post:
  *     summary: Save an answer during a quiz attempt
- *     description: Updates an in-progress quiz attempt with the selected answer.
+ *     description: Updates an in-progress quiz attempt with the selected answer. Only the owner of the attempt can save, and only before the attempt's end time (plus a short grace period). The question must belong to the quiz, and the answer must have the shape expected by the question type.
  *     tags:
  *       - Attempts
  *     security:
@@ -291,14 +697,21 @@ router.post("/start", authMiddleware, async (req, res) => {
  *               questionId:
  *                 type: string
  *               selectedAnswer:
- *                 type: string
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                 description: A string for multiple-choice, short-answer and true-false ("true"/"false"). An array of options for multiple-select, every item in order for ordering, and one right-hand item per pair (in pair order, "" if unmatched) for matching. An empty string or array clears the answer.
  *     responses:
  *       200:
  *         description: Answer saved successfully.
  *       400:
- *         description: Attempt already submitted.
+ *         description: Attempt already submitted, or the question or answer is invalid.
+ *       403:
+ *         description: Not the owner of the attempt, the time limit has expired, or the question's section is not the current one.
  *       404:
- *         description: Attempt not found.
+ *         description: Attempt or quiz not found.
  *       500:
  *         description: Internal server error.
  */
@@ -308,21 +721,54 @@ router.post("/save", authMiddleware, async (req, res) => {
     const attempt = await Attempt.findById(attemptId);
 
     if (!attempt) return res.status(404).json({ message: "Attempt not found" });
+    if (!isOwner(attempt, req.user))
+      return res.status(403).json({ message: "Unauthorized" });
     if (attempt.status !== "in-progress")
       return res.status(400).json({ message: "Attempt already submitted" });
+    if (isPastDeadline(attempt))
+      return res.status(403).json({ message: "Time limit has expired" });
+
+    const currentQuiz = await Quiz.findById(attempt.quizId).select(
+      "questions version"
+    );
+    if (!currentQuiz)
+      return res.status(404).json({ message: "Quiz not found" });
+    const quiz = await getAttemptQuiz(currentQuiz, attempt);
+
+    const question = quiz.questions.id(questionId);
+    const drawn =
+      attempt.questionOrder.length === 0 ||
+      attempt.questionOrder.some((id) => id.toString() === questionId);
+    if (!question || !drawn)
+      return res
+        .status(400)
+        .json({ message: "Question does not belong to this attempt" });
+    if (
+      attempt.currentSection !== null &&
+      question.section !== attempt.currentSection
+    )
+      return res
+        .status(403)
+        .json({ message: "Question is not in the current section" });
+
+    const clearing = isEmptyAnswer(selectedAnswer);
+    if (!clearing) {
+      const answerError = validateAnswer(question, selectedAnswer);
+      if (answerError) return res.status(400).json({ message: answerError });
+    }
 
     const existingIndex = attempt.answers.findIndex(
       (ans) => ans.questionId.toString() === questionId
     );
 
     if (existingIndex >= 0) {
-      if (selectedAnswer === "") {
+      if (clearing) {
         attempt.answers.splice(existingIndex, 1);
       } else {
         attempt.answers[existingIndex].selectedAnswer = selectedAnswer;
       }
     } else {
-      if (selectedAnswer !== "") {
+      if (!clearing) {
         attempt.answers.push({ questionId, selectedAnswer });
       }
     }
@@ -337,12 +783,94 @@ router.post("/save", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /attempt/next-section:
+ *   post:
+ *     summary: Finish the current section
+ *     description: Locks the current section of a sectioned quiz and starts the next one, whose timer starts now. Finishing the last section submits the attempt.
+ *     tags:
+ *       - Attempts
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attemptId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Returns the attempt in its new section, or the submitted attempt.
+ *       400:
+ *         description: Attempt already submitted, or the quiz has no sections.
+ *       403:
+ *         description: Not the owner of the attempt.
+ *       404:
+ *         description: Attempt or quiz not found.
+ *       409:
+ *         description: The section already ended.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/next-section", authMiddleware, async (req, res) => {
+  try {
+    const { attemptId } = req.body;
+    const attempt = await Attempt.findById(attemptId);
+
+    if (!attempt) return res.status(404).json({ message: "Attempt not found" });
+    if (!isOwner(attempt, req.user))
+      return res.status(403).json({ message: "Unauthorized" });
+    if (attempt.status !== "in-progress")
+      return res.status(400).json({ message: "Attempt already submitted" });
+    if (attempt.currentSection === null)
+      return res.status(400).json({ message: "Quiz has no sections" });
+
+    const currentQuiz = await Quiz.findById(attempt.quizId);
+    if (!currentQuiz)
+      return res.status(404).json({ message: "Quiz not found" });
+    const quiz = await getAttemptQuiz(currentQuiz, attempt);
+
+    const section = attempt.currentSection;
+    const advanced = await advanceSection(attempt, quiz, section);
+    if (!advanced)
+      return res.status(409).json({ message: "Section already ended" });
+
+    // Replace the finished section's timer
+    await agenda.cancel({
+      name: "advance attempt section",
+      "data.attemptId": attempt._id,
+      "data.section": section,
+    });
+    if (advanced.submitted) {
+      await agenda.cancel({ "data.attemptId": attempt._id });
+      return res.json({
+        message: "Attempt submitted",
+        attempt: advanced.attempt,
+      });
+    }
+
+    await agenda.schedule(advanced.attempt.endTime, "advance attempt section", {
+      attemptId: attempt._id,
+      section: advanced.attempt.currentSection,
+    });
+
+    res.json({ message: "Section started", attempt: advanced.attempt });
+  } catch (err) {
+    console.error("Error advancing section:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /attempt/submit:
  *   post:
  *     summary: Submit a completed quiz attempt
- *     description: Marks a quiz attempt as submitted and calculates the score.
+ *     description: Marks a quiz attempt as submitted and calculates the score. Attempts with essay answers are stored as pending-review until the creator grades them. Only the owner of the attempt can submit. After the end time only the answers saved before the deadline count.
  *     tags:
  *       - Attempts
  *     security:
@@ -361,6 +889,8 @@ router.post("/save", authMiddleware, async (req, res) => {
  *         description: Attempt submitted successfully.
  *       400:
  *         description: Attempt already submitted.
+ *       403:
+ *         description: Not the owner of the attempt.
  *       404:
  *         description: Attempt or quiz not found.
  *       500:
@@ -372,37 +902,30 @@ router.post("/submit", authMiddleware, async (req, res) => {
     const attempt = await Attempt.findById(attemptId).populate("quizId");
 
     if (!attempt) return res.status(404).json({ message: "Attempt not found" });
-    if (attempt.status === "submitted")
+    if (!isOwner(attempt, req.user))
+      return res.status(403).json({ message: "Unauthorized" });
+    if (attempt.status !== "in-progress")
       return res.status(400).json({ message: "Attempt already submitted" });
 
     await agenda.cancel({ "data.attemptId": attemptId });
 
-    const quiz = attempt.quizId;
-    if (!quiz) return res.status(404).json({ message: "Quiz not found" });
+    if (!attempt.quizId)
+      return res.status(404).json({ message: "Quiz not found" });
+    const quiz = await getAttemptQuiz(attempt.quizId, attempt);
 
-    attempt.status = "submitted";
-    attempt.score = calculateScore(attempt.answers, quiz);
-    await attempt.save();
+    const submitted = await submitAttempt(attempt, quiz);
+    if (!submitted)
+      return res.status(400).json({ message: "Attempt already submitted" });
 
-    quiz.totalScore += attempt.score;
-    quiz.attemptCount += 1;
-    await quiz.save();
     console.log("Submit");
-    res.json({ message: "Attempt submitted", attempt, quiz });
+    res.json({
+      message: "Attempt submitted",
+      attempt: submitted.attempt,
+      quiz: submitted.quiz,
+    });
   } catch (err) {
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-const calculateScore = (answers, quiz) => {
-  return quiz.questions.reduce((score, question) => {
-    const userAnswer = answers.find(
-      (ans) => ans.questionId.toString() === question._id.toString()
-    );
-    return userAnswer && userAnswer.selectedAnswer === question.correctAnswer
-      ? score + 1
-      : score;
-  }, 0);
-};
-
 module.exports = router;
@@ -1,36 +1,87 @@
 const express = require("express");
 const passport = require("passport");
-const jwt = require("jsonwebtoken");
 const router = express.Router();
 const User = require("../models/User");
+const EmailToken = require("../models/EmailToken");
 const authenticateJWT = require("../middleware/authMiddleware"); // Middleware to verify token
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createAuthCode,
+  exchangeAuthCode,
+} = require("../services/tokens");
+const {
+  createOAuthState,
+  verifyOAuthState,
+  setStateCookie,
+  readStateCookie,
+  clearStateCookie,
+} = require("../services/oauthState");
+const {
+  validateProfileUpdate,
+  propagateName,
+  streamAccountExport,
+  deleteAccount,
+} = require("../services/accounts");
+const {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+} = require("../services/passwords");
+const {
+  sendEmailToken,
+  consumeEmailToken,
+} = require("../services/emailTokens");
 
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000"; // Fallback to localhost
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lowercased email, or null when the input is not an email address
+const normalizeEmail = (email) =>
+  typeof email === "string" && EMAIL_PATTERN.test(email.trim())
+    ? email.trim().toLowerCase()
+    : null;
+
+const clientMeta = (req) => ({ userAgent: req.get("user-agent"), ip: req.ip });
+
 /**
  * @swagger
  * /auth/google:
  *   get:
  *     summary: Redirect to Google OAuth
- *     description: Redirects users to Google's OAuth page for authentication.
+ *     description: Redirects users to Google's OAuth page for authentication. The return path travels in a signed state bound to a cookie on this browser.
  *     tags:
  *       - Authentication
  *     parameters:
  *       - in: query
+ *         name: returnTo
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Frontend path to return to after authentication. Must be a relative path under one of RETURN_PATH_PREFIXES, otherwise "/" is used.
+ *       - in: query
  *         name: state
  *         schema:
  *           type: string
  *         required: false
- *         description: Optional callback URL to redirect the user after authentication.
+ *         deprecated: true
+ *         description: Older name for returnTo.
  *     responses:
  *       302:
  *         description: Redirects to Google's OAuth page.
  */
 router.get("/google", (req, res, next) => {
-  const { state } = req.query; // Get callback URL from frontend
+  const { state, nonce } = createOAuthState(
+    req.query.returnTo || req.query.state
+  );
+  setStateCookie(res, nonce);
+
   const authOptions = {
     scope: ["profile", "email"],
-    state, // Store callback in state (Google will return this)
+    state, // Google hands this back to the callback
   };
   passport.authenticate("google", authOptions)(req, res, next);
 });
@@ -55,15 +106,17 @@ router.get("/google", (req, res, next) => {
  *         schema:
  *           type: string
  *         required: false
- *         description: The callback URL provided in the initial OAuth request.
+ *         description: The signed state created by /auth/google.
  *     responses:
  *       302:
- *         description: Redirects to frontend with authentication token on success, or error message on failure.
+ *         description: Redirects to FRONTEND_URL/auth/callback with a one-time `code` to exchange at /auth/exchange and the `callback` return path on success, or to the login page with an error (access_denied, invalid_state, authentication_failed, account_suspended) on failure.
  *       401:
  *         description: Authentication failed.
  */
 router.get("/google/callback", (req, res, next) => {
   const { error, state } = req.query;
+  const nonce = readStateCookie(req);
+  clearStateCookie(res);
 
   if (error === "access_denied") {
     console.log("User denied Google OAuth access.");
@@ -72,7 +125,15 @@ router.get("/google/callback", (req, res, next) => {
     );
   }
 
-  passport.authenticate("google", { session: false }, (err, user) => {
+  // Rejects forged, expired and cross-browser states
+  const returnTo = verifyOAuthState(state, nonce);
+  if (!returnTo) {
+    return res.redirect(
+      `${process.env.FRONTEND_URL}/login?error=invalid_state`
+    );
+  }
+
+  passport.authenticate("google", { session: false }, async (err, user) => {
     if (err || !user) {
       console.error("Google OAuth authentication failed:", err);
       return res.redirect(
@@ -80,20 +141,657 @@ router.get("/google/callback", (req, res, next) => {
       );
     }
 
-    const token = jwt.sign({ userId: user.user._id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
+    if (user.user.suspended) {
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/login?error=account_suspended`
+      );
+    }
 
-    const callback = state || "/";
+    try {
+      const code = await createAuthCode(user.user);
 
-    res.redirect(
-      `${
-        process.env.FRONTEND_URL
-      }/auth/callback?token=${token}&callback=${encodeURIComponent(callback)}`
-    );
+      res.redirect(
+        `${
+          process.env.FRONTEND_URL
+        }/auth/callback?code=${code}&callback=${encodeURIComponent(returnTo)}`
+      );
+    } catch (error) {
+      console.error("Error creating auth code:", error);
+      res.redirect(
+        `${process.env.FRONTEND_URL}/login?error=authentication_failed`
+      );
+    }
   })(req, res, next);
 });
 
+/**
+ * @swagger
+ * /auth/exchange:
+ *   post:
+ *     summary: Exchange an OAuth sign-in code for tokens
+ *     description: Redeems the one-time code from the /auth/google/callback redirect. Codes expire after a minute and work once.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and access token expiry, as returned by /auth/refresh.
+ *       400:
+ *         description: Code invalid, expired or already used.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/exchange", async (req, res) => {
+  try {
+    const tokens = await exchangeAuthCode(req.body.code, clientMeta(req));
+    if (!tokens) {
+      return res.status(400).json({ message: "Invalid or expired code" });
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error("Error exchanging auth code:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The old refresh token stops working; presenting it again revokes every token from the same sign-in.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the access token expires.
+ *       401:
+ *         description: Refresh token invalid, expired or revoked.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(
+      req.body.refreshToken,
+      clientMeta(req)
+    );
+    if (!tokens) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+    res.json(tokens);
+  } catch (err) {
+    console.error("Error refreshing token:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out this device
+ *     description: Revokes the given refresh token. The access token stays valid until it expires, so the client should discard it.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out all devices
+ *     description: Revokes every refresh token of the user and invalidates every access token issued so far, including the one used for this request.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/logout-all", authenticateJWT, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: "Logged out of all devices" });
+  } catch (err) {
+    console.error("Error logging out all devices:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Sign up with email and password
+ *     description: Creates an account and emails a verification link. Password login works once the email is verified. Google users who want a password should use the forgot-password flow or PUT /auth/password instead.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Sari Wulandari"
+ *               email:
+ *                 type: string
+ *                 example: "sari@example.com"
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       201:
+ *         description: Account created, verification email sent.
+ *       400:
+ *         description: Missing name, invalid email or weak password.
+ *       409:
+ *         description: An account with this email already exists.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/register", async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ message: "Name is required" });
+    }
+    if (!email) {
+      return res.status(400).json({ message: "A valid email is required" });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (await User.exists({ email })) {
+      return res
+        .status(409)
+        .json({ message: "An account with this email already exists" });
+    }
+
+    const user = await User.create({
+      name: name.trim(),
+      email,
+      passwordHash: await hashPassword(password),
+      role: "student",
+    });
+    await sendEmailToken(user, "verify-email");
+
+    res
+      .status(201)
+      .json({ message: "Account created. Check your email to verify it." });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "An account with this email already exists" });
+    }
+    console.error("Error registering user:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in with email and password
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and access token expiry, as returned by /auth/refresh.
+ *       401:
+ *         description: Wrong email or password.
+ *       403:
+ *         description: Email not verified, or account suspended.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const user = email
+      ? await User.findOne({ email }).select("+passwordHash")
+      : null;
+
+    if (
+      !user ||
+      !(await verifyPassword(req.body.password, user.passwordHash))
+    ) {
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+    if (!user.emailVerified) {
+      return res.status(403).json({ message: "Email not verified" });
+    }
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" });
+    }
+
+    res.json(await issueTokens(user, clientMeta(req)));
+  } catch (err) {
+    console.error("Error logging in:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     description: Consumes the token from the verification email.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified.
+ *       400:
+ *         description: Token invalid, expired or already used.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const user = await consumeEmailToken(req.body.token, "verify-email");
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Error verifying email:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Always answers the same way so it cannot be used to find out which emails have accounts.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sent if the account exists and is unverified.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/verify-email/resend", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const user = email ? await User.findOne({ email }) : null;
+    if (user && !user.emailVerified) {
+      await sendEmailToken(user, "verify-email");
+    }
+
+    res.json({
+      message: "If the account needs verifying, an email has been sent",
+    });
+  } catch (err) {
+    console.error("Error resending verification email:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Also how a Google account adds a password login. Always answers the same way so it cannot be used to find out which emails have accounts.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sent if the account exists.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const user = email ? await User.findOne({ email }) : null;
+    if (user) {
+      await sendEmailToken(user, "reset-password");
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a reset link has been sent",
+    });
+  } catch (err) {
+    console.error("Error requesting password reset:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Choose a new password
+ *     description: Consumes the token from the reset email, sets the password, marks the email verified and logs out every device.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password set.
+ *       400:
+ *         description: Weak password, or token invalid, expired or already used.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = await consumeEmailToken(token, "reset-password");
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+
+    user.passwordHash = await hashPassword(password);
+    user.emailVerified = true; // The reset link proved the address
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: "Password updated" });
+  } catch (err) {
+    console.error("Error resetting password:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     summary: Set or change the password
+ *     description: Google accounts without a password can add one directly. Changing an existing password needs the current one. Other devices are logged out and a fresh token pair is returned for this one.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password set; new access and refresh tokens.
+ *       400:
+ *         description: Weak password.
+ *       401:
+ *         description: Unauthorized, or wrong current password.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put("/password", authenticateJWT, async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = await User.findById(req.user._id).select("+passwordHash");
+    if (
+      user.passwordHash &&
+      !(await verifyPassword(currentPassword, user.passwordHash))
+    ) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    user.passwordHash = await hashPassword(password);
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    // Reload for the bumped tokenVersion
+    const refreshed = await User.findById(user._id);
+    res.json(await issueTokens(refreshed, clientMeta(req)));
+  } catch (err) {
+    console.error("Error setting password:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   post:
+ *     summary: Email a sign-in link
+ *     description: Passwordless login for existing accounts. The link is valid for 15 minutes and works once. Always answers the same way so it cannot be used to find out which emails have accounts.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sent if the account exists.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/magic-link", async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const user = email ? await User.findOne({ email }) : null;
+    if (user && !user.suspended) {
+      await sendEmailToken(user, "magic-link");
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a sign-in link has been sent",
+    });
+  } catch (err) {
+    console.error("Error sending magic link:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     summary: Log in with a magic link token
+ *     description: Consumes the token from the sign-in email and marks the email verified.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Access token, refresh token and access token expiry.
+ *       400:
+ *         description: Token invalid, expired or already used.
+ *       403:
+ *         description: Account suspended.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/magic-link/verify", async (req, res) => {
+  try {
+    const user = await consumeEmailToken(req.body.token, "magic-link");
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+    if (user.suspended) {
+      return res.status(403).json({ message: "Account suspended" });
+    }
+
+    if (!user.emailVerified) {
+      // Anyone could have registered this address with a password of
+      // their choosing; only the owner of the inbox keeps the account
+      user.passwordHash = null;
+      await EmailToken.deleteMany({ userId: user._id });
+      await revokeAllSessions(user._id);
+      user.emailVerified = true;
+      await user.save();
+    }
+    res.json(await issueTokens(user, clientMeta(req)));
+  } catch (err) {
+    console.error("Error logging in with magic link:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /auth/me:
@@ -121,6 +819,20 @@ router.get("/google/callback", (req, res, next) => {
  *                       type: string
  *                     name:
  *                       type: string
+ *                     avatar:
+ *                       type: string
+ *                     bio:
+ *                       type: string
+ *                     school:
+ *                       type: string
+ *                     timezone:
+ *                       type: string
+ *                       nullable: true
+ *                     emailVerified:
+ *                       type: boolean
+ *                     role:
+ *                       type: string
+ *                       enum: ["student", "creator", "admin"]
  *       401:
  *         description: Unauthorized (JWT missing or invalid).
  *       500:
@@ -138,4 +850,159 @@ router.get("/me", authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Update my profile
+ *     description: Only the fields sent are changed. A new name is also shown on the user's quizzes, attempts and classes.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               avatar:
+ *                 type: string
+ *                 nullable: true
+ *                 description: http(s) image URL, or null to remove.
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *               school:
+ *                 type: string
+ *                 maxLength: 150
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "Asia/Jakarta"
+ *     responses:
+ *       200:
+ *         description: The updated user.
+ *       400:
+ *         description: Invalid field value.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.patch("/me", authenticateJWT, async (req, res) => {
+  try {
+    const { error, updates } = validateProfileUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const renamed =
+      updates.name !== undefined && updates.name !== req.user.name;
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    );
+    if (renamed) await propagateName(user._id, user.name);
+
+    res.json({ user });
+  } catch (err) {
+    console.error("Error updating profile:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me/export:
+ *   get:
+ *     summary: Download my data
+ *     description: A zip archive with the user's profile, the quizzes they created, their attempts, their classes and their question bank, each as JSON.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The archive.
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/me/export", authenticateJWT, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`susunsoal-export-${date}.zip`);
+    res.type("application/zip");
+    await streamAccountExport(req.user, res);
+  } catch (err) {
+    console.error("Error exporting account:", err);
+    // Headers are gone once streaming started
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Delete my account
+ *     description: Permanent. Quizzes and attempts are kept for other users' results but show "Deleted user" instead of the name. Classes the user teaches, their question bank and their sessions are deleted.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [confirmEmail]
+ *             properties:
+ *               confirmEmail:
+ *                 type: string
+ *                 description: The account's email, to guard against accidental deletion.
+ *     responses:
+ *       200:
+ *         description: Account deleted.
+ *       400:
+ *         description: confirmEmail does not match.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete("/me", authenticateJWT, async (req, res) => {
+  try {
+    const { confirmEmail } = req.body;
+    if (
+      typeof confirmEmail !== "string" ||
+      confirmEmail.trim().toLowerCase() !== req.user.email.toLowerCase()
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Confirm by sending the account's email" });
+    }
+
+    await deleteAccount(req.user);
+    res.json({ message: "Account deleted" });
+  } catch (err) {
+    console.error("Error deleting account:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,373 @@
+const express = require("express");
+const router = express.Router();
+const BankQuestion = require("../models/BankQuestion");
+const { validateQuestion } = require("../services/quizValidation");
+const {
+  toQuestionContent,
+  QUESTION_FIELDS,
+} = require("../services/questionBank");
+const { parsePagination } = require("../services/pagination");
+const authenticateJWT = require("../middleware/authMiddleware"); // Middleware to verify token
+const requireRole = require("../middleware/roleMiddleware");
+
+// Students can take quizzes but not build question banks
+const creatorOnly = [authenticateJWT, requireRole("creator", "admin")];
+
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const validateBankQuestion = (body) => {
+  const { topic, tags, difficulty } = body;
+  if (topic != null && typeof topic !== "string")
+    return "Topic must be a string";
+  if (
+    tags !== undefined &&
+    (!Array.isArray(tags) || !tags.every((tag) => typeof tag === "string"))
+  )
+    return "Tags must be a list of strings";
+  if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty))
+    return `Difficulty must be one of ${DIFFICULTIES.join(", ")}`;
+  return validateQuestion(body);
+};
+
+const normalizeTags = (tags = []) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BankQuestion:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: ["multiple-choice", "short-answer", "true-false", "multiple-select", "ordering", "matching", "essay"]
+ *         questionText:
+ *           type: string
+ *           example: "What is the capital of Indonesia?"
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *         correctAnswer:
+ *           type: string
+ *         correctAnswers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         pairs:
+ *           type: array
+ *           items:
+ *             type: object
+ *         explanation:
+ *           type: string
+ *         points:
+ *           type: number
+ *         penalty:
+ *           type: number
+ *         topic:
+ *           type: string
+ *           example: "Geography"
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["capitals", "asia"]
+ *         difficulty:
+ *           type: string
+ *           enum: ["easy", "medium", "hard"]
+ */
+
+/**
+ * @swagger
+ * /bank:
+ *   get:
+ *     summary: List the user's question bank
+ *     description: Retrieve a paginated list of the authenticated user's bank questions.
+ *     tags:
+ *       - Question Bank
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search question text (case-insensitive).
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *         description: Filter by topic.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Filter by tag.
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: ["easy", "medium", "hard"]
+ *         description: Filter by difficulty.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of questions per page.
+ *     responses:
+ *       200:
+ *         description: A paginated list of bank questions.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/", authenticateJWT, async (req, res) => {
+  try {
+    const { search, topic, tag, difficulty } = req.query;
+
+    const filters = { createdBy: req.user._id };
+    if (search) filters.questionText = { $regex: search, $options: "i" };
+    if (topic) filters.topic = topic;
+    if (tag) filters.tags = tag.toLowerCase();
+    if (difficulty) filters.difficulty = difficulty;
+
+    // Pagination settings
+    const { pageNumber, pageSize, skip } = parsePagination(req.query, 20);
+
+    const questions = await BankQuestion.find(filters)
+      .sort({ createdAt: -1 }) // Newest first
+      .skip(skip)
+      .limit(pageSize);
+
+    const totalQuestions = await BankQuestion.countDocuments(filters);
+    const totalPages = Math.ceil(totalQuestions / pageSize);
+
+    res.json({ questions, totalPages, currentPage: pageNumber });
+  } catch (error) {
+    console.error("Error fetching bank questions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /bank:
+ *   post:
+ *     summary: Add a question to the bank
+ *     tags:
+ *       - Question Bank
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       201:
+ *         description: Question created successfully.
+ *       400:
+ *         description: Validation error.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (students cannot add questions).
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/", creatorOnly, async (req, res) => {
+  try {
+    const validationError = validateBankQuestion(req.body);
+    if (validationError)
+      return res.status(400).json({ error: validationError });
+
+    const question = new BankQuestion({
+      ...toQuestionContent(req.body),
+      createdBy: req.user._id,
+      topic: req.body.topic,
+      tags: normalizeTags(req.body.tags),
+      difficulty: req.body.difficulty,
+    });
+
+    await question.save();
+    res.status(201).json({ message: "Question saved successfully", question });
+  } catch (error) {
+    console.error("Error saving bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /bank/{questionId}:
+ *   get:
+ *     summary: Get a bank question
+ *     tags:
+ *       - Question Bank
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the bank question.
+ *     responses:
+ *       200:
+ *         description: Bank question retrieved successfully.
+ *       403:
+ *         description: Forbidden (not the owner).
+ *       404:
+ *         description: Question not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:questionId", authenticateJWT, async (req, res) => {
+  try {
+    const question = await BankQuestion.findById(req.params.questionId);
+    if (!question) return res.status(404).json({ error: "Question not found" });
+
+    if (question.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to view this question" });
+    }
+
+    res.json({ question });
+  } catch (error) {
+    console.error("Error fetching bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /bank/{questionId}:
+ *   put:
+ *     summary: Edit a bank question
+ *     description: Replaces the question and bumps its version. Quizzes that already snapshotted the question keep the old version until they are saved again.
+ *     tags:
+ *       - Question Bank
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the bank question.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BankQuestion'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully.
+ *       400:
+ *         description: Validation error.
+ *       403:
+ *         description: Forbidden (not the owner).
+ *       404:
+ *         description: Question not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put("/:questionId", authenticateJWT, async (req, res) => {
+  try {
+    const question = await BankQuestion.findById(req.params.questionId);
+    if (!question) return res.status(404).json({ error: "Question not found" });
+
+    if (question.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to edit this question" });
+    }
+
+    const validationError = validateBankQuestion(req.body);
+    if (validationError)
+      return res.status(400).json({ error: validationError });
+
+    // Replace the content so fields of a previous type do not linger
+    const defaults = new BankQuestion().toObject();
+    const content = toQuestionContent(req.body);
+    QUESTION_FIELDS.forEach((field) =>
+      question.set(field, content[field] ?? defaults[field])
+    );
+    question.topic = req.body.topic;
+    question.tags = normalizeTags(req.body.tags);
+    question.difficulty = req.body.difficulty;
+    question.version += 1;
+    question.lastEdited = new Date();
+
+    await question.save();
+    res.json({ message: "Question updated successfully", question });
+  } catch (error) {
+    console.error("Error updating bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /bank/{questionId}:
+ *   delete:
+ *     summary: Delete a bank question
+ *     description: Quizzes that already use the question keep their snapshot.
+ *     tags:
+ *       - Question Bank
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the bank question.
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully.
+ *       403:
+ *         description: Forbidden (not the owner).
+ *       404:
+ *         description: Question not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete("/:questionId", authenticateJWT, async (req, res) => {
+  try {
+    const question = await BankQuestion.findById(req.params.questionId);
+    if (!question) return res.status(404).json({ error: "Question not found" });
+
+    if (question.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to delete this question" });
+    }
+
+    await BankQuestion.findByIdAndDelete(question._id);
+    res.json({ message: "Question deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
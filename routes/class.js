@@ -0,0 +1,678 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Classroom = require("../models/Classroom");
+const Quiz = require("../models/Quiz");
+const Attempt = require("../models/Attempt");
+const authenticateJWT = require("../middleware/authMiddleware"); // Middleware to verify token
+const requireRole = require("../middleware/roleMiddleware");
+const {
+  generateInviteCode,
+  deleteClassroom,
+} = require("../services/classAccess");
+
+const INVITE_CODE_RETRIES = 5;
+
+const isTeacher = (classroom, user) =>
+  classroom.teacher.toString() === user._id.toString();
+
+const isMember = (classroom, user) =>
+  classroom.members.some(
+    (member) => member.userId.toString() === user._id.toString()
+  );
+
+// Retry on the rare invite code collision
+const saveWithInviteCode = async (classroom) => {
+  for (let attempt = 1; ; attempt++) {
+    classroom.inviteCode = generateInviteCode();
+    try {
+      return await classroom.save();
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= INVITE_CODE_RETRIES) throw err;
+    }
+  }
+};
+
+// What a member sees: no invite code or roster
+const toMemberView = (classroom) => ({
+  _id: classroom._id,
+  name: classroom.name,
+  description: classroom.description,
+  teacherName: classroom.teacherName,
+  memberCount: classroom.members.length,
+  createdAt: classroom.createdAt,
+});
+
+/**
+ * @swagger
+ * /class:
+ *   post:
+ *     summary: Create a class
+ *     description: Creates a class with a fresh invite code for students to join. Creators and admins only.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "XII IPA 2"
+ *               description:
+ *                 type: string
+ *                 example: "Physics 2025/2026"
+ *     responses:
+ *       201:
+ *         description: Class created, including its inviteCode.
+ *       400:
+ *         description: Missing name.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (students cannot create classes).
+ *       500:
+ *         description: Internal server error.
+ */
+router.post(
+  "/",
+  authenticateJWT,
+  requireRole("creator", "admin"),
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+      if (typeof name !== "string" || !name.trim())
+        return res.status(400).json({ error: "Class name is required" });
+
+      const classroom = await saveWithInviteCode(
+        new Classroom({
+          name: name.trim(),
+          description,
+          teacher: req.user._id,
+          teacherName: req.user.name,
+        })
+      );
+
+      res.status(201).json({ message: "Class created", classroom });
+    } catch (error) {
+      console.error("Error creating class:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /class/mine:
+ *   get:
+ *     summary: List my classes
+ *     description: The classes the user teaches and the classes the user has joined.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Taught and joined classes.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/mine", authenticateJWT, async (req, res) => {
+  try {
+    const [teaching, joined] = await Promise.all([
+      Classroom.find({ teacher: req.user._id }).sort({ createdAt: -1 }),
+      Classroom.find({ "members.userId": req.user._id }).sort({
+        createdAt: -1,
+      }),
+    ]);
+
+    res.json({ teaching, joined: joined.map(toMemberView) });
+  } catch (error) {
+    console.error("Error fetching classes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/join:
+ *   post:
+ *     summary: Join a class with an invite code
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [inviteCode]
+ *             properties:
+ *               inviteCode:
+ *                 type: string
+ *                 example: "K7QX2MPA"
+ *     responses:
+ *       200:
+ *         description: Joined the class.
+ *       400:
+ *         description: Already a member, or the user teaches the class.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       404:
+ *         description: No class with this invite code.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/join", authenticateJWT, async (req, res) => {
+  try {
+    const { inviteCode } = req.body;
+    if (typeof inviteCode !== "string" || !inviteCode.trim())
+      return res.status(400).json({ error: "Invite code is required" });
+
+    const classroom = await Classroom.findOne({
+      inviteCode: inviteCode.trim().toUpperCase(),
+    });
+    if (!classroom)
+      return res.status(404).json({ error: "Invalid invite code" });
+
+    if (isTeacher(classroom, req.user))
+      return res.status(400).json({ error: "You teach this class" });
+
+    // Conditional push so concurrent joins cannot add the user twice
+    const updated = await Classroom.findOneAndUpdate(
+      { _id: classroom._id, "members.userId": { $ne: req.user._id } },
+      { $push: { members: { userId: req.user._id, name: req.user.name } } },
+      { new: true }
+    );
+    if (!updated)
+      return res
+        .status(400)
+        .json({ error: "You are already a member of this class" });
+
+    res.json({ message: "Joined class", classroom: toMemberView(updated) });
+  } catch (error) {
+    console.error("Error joining class:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}:
+ *   get:
+ *     summary: Get a class
+ *     description: The teacher gets the invite code and member list; members get the class summary.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The class.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Not the teacher or a member.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:classId", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+
+    if (isTeacher(classroom, req.user)) return res.json({ classroom });
+    if (isMember(classroom, req.user))
+      return res.json({ classroom: toMemberView(classroom) });
+
+    res.status(403).json({ error: "You are not a member of this class" });
+  } catch (error) {
+    console.error("Error fetching class:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}:
+ *   put:
+ *     summary: Rename a class
+ *     description: Teacher only.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Class updated.
+ *       400:
+ *         description: Empty name.
+ *       403:
+ *         description: Not the teacher.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.put("/:classId", authenticateJWT, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+    if (!isTeacher(classroom, req.user))
+      return res.status(403).json({ error: "Unauthorized to edit this class" });
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim())
+        return res.status(400).json({ error: "Class name is required" });
+      classroom.name = name.trim();
+    }
+    if (description !== undefined) classroom.description = description;
+    await classroom.save();
+
+    res.json({ message: "Class updated", classroom });
+  } catch (error) {
+    console.error("Error updating class:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}:
+ *   delete:
+ *     summary: Delete a class
+ *     description: Teacher only. Quizzes assigned only to this class are unpublished rather than made public.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Class deleted.
+ *       403:
+ *         description: Not the teacher.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete("/:classId", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+    if (!isTeacher(classroom, req.user))
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to delete this class" });
+
+    await deleteClassroom(classroom);
+
+    res.json({ message: "Class deleted" });
+  } catch (error) {
+    console.error("Error deleting class:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}/invite-code:
+ *   post:
+ *     summary: Replace the invite code
+ *     description: Teacher only. The old code stops working; existing members stay.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new invite code.
+ *       403:
+ *         description: Not the teacher.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/:classId/invite-code", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+    if (!isTeacher(classroom, req.user))
+      return res.status(403).json({ error: "Unauthorized to edit this class" });
+
+    await saveWithInviteCode(classroom);
+    res.json({ inviteCode: classroom.inviteCode });
+  } catch (error) {
+    console.error("Error replacing invite code:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}/leave:
+ *   post:
+ *     summary: Leave a class
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the class.
+ *       400:
+ *         description: Not a member.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/:classId/leave", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+    if (!isMember(classroom, req.user))
+      return res
+        .status(400)
+        .json({ error: "You are not a member of this class" });
+
+    await Classroom.updateOne(
+      { _id: classroom._id },
+      { $pull: { members: { userId: req.user._id } } }
+    );
+    res.json({ message: "Left class" });
+  } catch (error) {
+    console.error("Error leaving class:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member
+ *     description: Teacher only. The student's attempts are kept.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed.
+ *       403:
+ *         description: Not the teacher.
+ *       404:
+ *         description: Class or member not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.delete(
+  "/:classId/members/:userId",
+  authenticateJWT,
+  async (req, res) => {
+    try {
+      const classroom = await Classroom.findById(req.params.classId);
+      if (!classroom) return res.status(404).json({ error: "Class not found" });
+      if (!isTeacher(classroom, req.user))
+        return res
+          .status(403)
+          .json({ error: "Unauthorized to edit this class" });
+
+      if (!mongoose.isValidObjectId(req.params.userId))
+        return res.status(404).json({ error: "Member not found" });
+
+      const { modifiedCount } = await Classroom.updateOne(
+        { _id: classroom._id },
+        { $pull: { members: { userId: req.params.userId } } }
+      );
+      if (!modifiedCount)
+        return res.status(404).json({ error: "Member not found" });
+
+      res.json({ message: "Member removed" });
+    } catch (error) {
+      console.error("Error removing member:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /class/{classId}/quizzes:
+ *   get:
+ *     summary: List the quizzes assigned to a class
+ *     description: Members see the published quizzes; the teacher sees all of them.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assigned quizzes, without questions.
+ *       403:
+ *         description: Not the teacher or a member.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:classId/quizzes", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+
+    const teacher = isTeacher(classroom, req.user);
+    if (!teacher && !isMember(classroom, req.user))
+      return res
+        .status(403)
+        .json({ error: "You are not a member of this class" });
+
+    const filters = { classes: classroom._id };
+    if (!teacher) filters.published = true;
+
+    const quizzes = await Quiz.find(filters)
+      .select("-questions")
+      .sort({ dateOpens: -1 });
+
+    res.json({ quizzes });
+  } catch (error) {
+    console.error("Error fetching class quizzes:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /class/{classId}/roster:
+ *   get:
+ *     summary: Class roster per assigned quiz
+ *     description: Teacher only. For every quiz assigned to the class, lists each member with whether they have finished an attempt, how many, their best score and whether one is in progress.
+ *     tags:
+ *       - Classes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The roster.
+ *         content:
+ *           application/json:
+ *             example:
+ *               members: 2
+ *               quizzes:
+ *                 - quizId: "65f1c0a2b4d3e2a1f0c9b8a7"
+ *                   title: "Kinematics"
+ *                   attemptedCount: 1
+ *                   notAttemptedCount: 1
+ *                   students:
+ *                     - userId: "65f1c0a2b4d3e2a1f0c9b8a1"
+ *                       name: "Budi"
+ *                       attempted: true
+ *                       attempts: 2
+ *                       bestScore: 8
+ *                       bestPercentage: 80
+ *                       inProgress: false
+ *                     - userId: "65f1c0a2b4d3e2a1f0c9b8a2"
+ *                       name: "Sari"
+ *                       attempted: false
+ *                       attempts: 0
+ *                       bestScore: null
+ *                       bestPercentage: null
+ *                       inProgress: false
+ *       403:
+ *         description: Not the teacher.
+ *       404:
+ *         description: Class not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:classId/roster", authenticateJWT, async (req, res) => {
+  try {
+    const classroom = await Classroom.findById(req.params.classId);
+    if (!classroom) return res.status(404).json({ error: "Class not found" });
+    if (!isTeacher(classroom, req.user))
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to view this roster" });
+
+    const quizzes = await Quiz.find({ classes: classroom._id })
+      .select("title published dateOpens dateCloses")
+      .sort({ dateOpens: 1 });
+    const memberIds = classroom.members.map((member) => member.userId);
+
+    const stats = await Attempt.aggregate([
+      {
+        $match: {
+          quizId: { $in: quizzes.map((quiz) => quiz._id) },
+          userId: { $in: memberIds },
+        },
+      },
+      {
+        $group: {
+          _id: { quizId: "$quizId", userId: "$userId" },
+          attempts: {
+            $sum: { $cond: [{ $eq: ["$status", "in-progress"] }, 0, 1] },
+          },
+          inProgress: { $max: { $eq: ["$status", "in-progress"] } },
+          bestScore: { $max: "$score" },
+          bestPercentage: { $max: "$percentage" },
+        },
+      },
+    ]);
+    const byKey = new Map(
+      stats.map((entry) => [`${entry._id.quizId}:${entry._id.userId}`, entry])
+    );
+
+    res.json({
+      members: classroom.members.length,
+      quizzes: quizzes.map((quiz) => {
+        const students = classroom.members.map((member) => {
+          const entry = byKey.get(`${quiz._id}:${member.userId}`);
+          return {
+            userId: member.userId,
+            name: member.name,
+            attempted: Boolean(entry && entry.attempts > 0),
+            attempts: entry ? entry.attempts : 0,
+            bestScore: entry ? entry.bestScore : null,
+            bestPercentage: entry ? entry.bestPercentage : null,
+            inProgress: Boolean(entry && entry.inProgress),
+          };
+        });
+        const attemptedCount = students.filter((s) => s.attempted).length;
+        return {
+          quizId: quiz._id,
+          title: quiz.title,
+          published: quiz.published,
+          dateOpens: quiz.dateOpens,
+          dateCloses: quiz.dateCloses,
+          attemptedCount,
+          notAttemptedCount: students.length - attemptedCount,
+          students,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error fetching class roster:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
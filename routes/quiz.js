@@ -1,11 +1,54 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const User = require("../models/User");
 const Quiz = require("../models/Quiz");
+const Attempt = require("../models/Attempt");
+const QuizVersion = require("../models/QuizVersion");
+const { toTakerView } = require("../services/quizView");
+const {
+  validateQuiz,
+  validateQuestion,
+} = require("../services/quizValidation");
+const { gradeQuestion } = require("../services/grading");
+const { resolveBankQuestions } = require("../services/questionBank");
+const { getQuizAnalytics } = require("../services/analytics");
+const {
+  saveVersion,
+  getVersion,
+  getAttemptQuiz,
+  diffVersions,
+  ERRATA_FIELDS,
+} = require("../services/quizVersions");
+const { previewImport, IMPORT_FORMATS } = require("../services/questionImport");
+const {
+  toJson,
+  toGift,
+  streamQti,
+  toHtml,
+  QUIZ_EXPORT_FORMATS,
+} = require("../services/quizExport");
+const {
+  getLeaderboard,
+  LEADERBOARD_POLICIES,
+} = require("../services/leaderboard");
+const { parsePagination } = require("../services/pagination");
 const authenticateJWT = require("../middleware/authMiddleware"); // Middleware to verify token
+const requireRole = require("../middleware/roleMiddleware");
+const optionalAuth = require("../middleware/optionalAuthMiddleware");
+const {
+  memberClassIds,
+  canAccessQuiz,
+  validateClassAssignment,
+} = require("../services/classAccess");
+const agenda = require("../agenda");
 
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000"; // Fallback to localhost
 
+// Students can take quizzes but not create or change them
+const creatorOnly = [authenticateJWT, requireRole("creator", "admin")];
+const MAX_PREVIEW_ANSWER_LENGTH = 1000;
+
 /**
  * @swagger
  * /quiz/save:
@@ -45,21 +88,96 @@ const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000"; // Fal
  *                       example: "What is the capital of France?"
  *                     type:
  *                       type: string
- *                       enum: ["multiple-choice", "text"]
+ *                       enum: ["multiple-choice", "short-answer", "true-false", "multiple-select", "ordering", "matching", "essay"]
  *                     options:
  *                       type: array
  *                       items:
  *                         type: string
  *                       example: ["Paris", "London", "Berlin"]
+ *                     correctAnswer:
+ *                       type: string
+ *                       example: "Paris"
+ *                     matching:
+ *                       type: object
+ *                       description: Short-answer matching policy (case-insensitive, whitespace/punctuation normalisation, accepted alternatives, numeric tolerance, regex pattern).
+ *                     correctAnswers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Correct options for multiple-select, or every option in the correct order for ordering.
+ *                     pairs:
+ *                       type: array
+ *                       description: Matching pairs (only for matching).
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           left:
+ *                             type: string
+ *                           right:
+ *                             type: string
+ *                     partialCredit:
+ *                       type: boolean
+ *                       description: Award partial points for multiple-select, ordering and matching instead of all-or-nothing.
+ *                       default: false
+ *                     bankQuestionId:
+ *                       type: string
+ *                       description: Reference a question bank entry instead of giving the content. The entry's current version is snapshotted into the quiz when it is saved; points and penalty may still be overridden.
+ *                     section:
+ *                       type: integer
+ *                       description: Index of the question's section (only for quizzes with sections).
+ *                     points:
+ *                       type: number
+ *                       description: Points for a correct answer. Must be greater than 0.
+ *                       default: 1
+ *                     penalty:
+ *                       type: number
+ *                       description: Points deducted for an incorrect answer.
+ *                       default: 0
  *               timeLimit:
  *                 type: integer
  *                 example: 10
  *               maxAttemptsPerUser:
  *                 type: integer
  *                 example: 3
- *               totalScore:
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 description: Show the questions in a random order per attempt.
+ *                 example: false
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 description: Show the options (and ordering/matching items) in a random order per attempt.
+ *                 example: false
+ *               questionsPerAttempt:
  *                 type: integer
- *                 example: 100
+ *                 nullable: true
+ *                 description: Draw this many random questions from the quiz for each attempt. Null uses every question.
+ *                 example: null
+ *               sections:
+ *                 type: array
+ *                 description: Ordered sub-tests with their own timer. Every question then needs a `section` index, and timeLimit becomes the sum of the durations.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                       example: "Verbal"
+ *                     duration:
+ *                       type: integer
+ *                       description: Minutes.
+ *                       example: 30
+ *               leaderboardEnabled:
+ *                 type: boolean
+ *                 description: Show the quiz leaderboard to takers. The creator can always see it.
+ *                 example: true
+ *               anonymizeLeaderboard:
+ *                 type: boolean
+ *                 description: Hide taker names on the leaderboard.
+ *                 example: false
+ *               leaderboardPolicy:
+ *                 type: string
+ *                 enum: ["best", "first"]
+ *                 description: Which attempt ranks a user with several attempts.
+ *                 example: "best"
  *               dateOpens:
  *                 type: string
  *                 format: date-time
@@ -71,6 +189,11 @@ const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000"; // Fal
  *               published:
  *                 type: boolean
  *                 example: true
+ *               classes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ids of the creator's classes. Only their members can see and take the quiz. Empty makes the quiz public.
  *     responses:
  *       201:
  *         description: Quiz created successfully.
@@ -78,60 +201,46 @@ const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000"; // Fal
  *         description: Validation error (e.g., missing required fields).
  *       401:
  *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (students cannot create quizzes).
  *       500:
  *         description: Internal server error.
  */
-router.post("/save", authenticateJWT, async (req, res) => {
+router.post("/save", creatorOnly, async (req, res) => {
   try {
     const {
       title,
       description,
       category,
       coverImage,
-      questions,
       timeLimit,
       maxAttemptsPerUser,
-      totalScore,
+      shuffleQuestions,
+      shuffleOptions,
+      questionsPerAttempt,
+      sections,
+      leaderboardEnabled,
+      anonymizeLeaderboard,
+      leaderboardPolicy,
       dateOpens,
       dateCloses,
       published,
+      classes,
     } = req.body;
 
-    // Backend validate
-    if (!title.trim())
-      return res.status(400).json({ error: "Title is required" });
-    if (!timeLimit || timeLimit < 1)
-      return res
-        .status(400)
-        .json({ error: "Time limit must be at least 1 minute" });
-    if (!dateOpens || !dateCloses)
-      return res
-        .status(400)
-        .json({ error: "Quiz must have an opening and closing date" });
-    if (new Date(dateOpens) >= new Date(dateCloses)) {
-      return res
-        .status(400)
-        .json({ error: "Closing date must be after opening date" });
-    }
-
-    if (!questions || questions.length === 0)
-      return res
-        .status(400)
-        .json({ error: "Quiz must have at least one question" });
-
-    for (const question of questions) {
-      if (!question.questionText.trim()) {
-        return res.status(400).json({ error: "Every question must have text" });
-      }
+    // Snapshot referenced question bank entries
+    const { questions, error: bankError } = await resolveBankQuestions(
+      req.body.questions,
+      req.user._id
+    );
+    if (bankError) return res.status(400).json({ error: bankError });
 
-      if (question.type === "multiple-choice") {
-        if (!question.options || question.options.length < 2) {
-          return res.status(400).json({
-            error: `Question "${question.questionText}" must have at least 2 options`,
-          });
-        }
-      }
-    }
+    // Backend validate
+    const validationError =
+      validateQuiz({ ...req.body, questions }) ||
+      (await validateClassAssignment(classes, req.user._id));
+    if (validationError)
+      return res.status(400).json({ error: validationError });
 
     // Save the Quiz with the Authenticated User
     const newQuiz = new Quiz({
@@ -144,13 +253,21 @@ router.post("/save", authenticateJWT, async (req, res) => {
       questions,
       timeLimit,
       maxAttemptsPerUser,
-      totalScore,
+      shuffleQuestions,
+      shuffleOptions,
+      questionsPerAttempt,
+      sections,
+      leaderboardEnabled,
+      anonymizeLeaderboard,
+      leaderboardPolicy,
       dateOpens: new Date(dateOpens),
       dateCloses: new Date(dateCloses),
       published,
+      classes: classes || [],
     });
 
     await newQuiz.save();
+    await saveVersion(newQuiz, { editedBy: req.user._id });
     res.status(201).json({ message: "Quiz saved successfully", quiz: newQuiz });
   } catch (error) {
     console.error("Error saving quiz:", error);
@@ -158,12 +275,291 @@ router.post("/save", authenticateJWT, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /quiz/preview-answer:
+ *   post:
+ *     summary: Preview how an answer would be graded
+ *     description: Grades a sample answer against a (possibly unsaved) question, so creators can check their short-answer matching rules. Creators and admins only.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               question:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: "short-answer"
+ *                   questionText:
+ *                     type: string
+ *                     example: "What is the capital of Indonesia?"
+ *                   correctAnswer:
+ *                     type: string
+ *                     example: "Jakarta"
+ *                   matching:
+ *                     type: object
+ *                     properties:
+ *                       caseInsensitive:
+ *                         type: boolean
+ *                       normalizeWhitespace:
+ *                         type: boolean
+ *                       ignorePunctuation:
+ *                         type: boolean
+ *                       acceptedAnswers:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       numeric:
+ *                         type: boolean
+ *                       tolerance:
+ *                         type: number
+ *                       pattern:
+ *                         type: string
+ *               answer:
+ *                 type: string
+ *                 example: "jakarta "
+ *     responses:
+ *       200:
+ *         description: Returns the grading result for the sample answer.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: ["correct", "incorrect", "unanswered"]
+ *                 pointsAwarded:
+ *                   type: number
+ *       400:
+ *         description: Validation error (invalid question or answer).
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (students cannot preview answers).
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/preview-answer", creatorOnly, async (req, res) => {
+  try {
+    const { question, answer } = req.body;
+
+    if (!question || typeof question !== "object")
+      return res.status(400).json({ error: "Question is required" });
+    if (typeof answer !== "string")
+      return res.status(400).json({ error: "Answer must be a string" });
+    if (answer.length > MAX_PREVIEW_ANSWER_LENGTH)
+      return res.status(400).json({
+        error: `Answer must be at most ${MAX_PREVIEW_ANSWER_LENGTH} characters`,
+      });
+
+    const validationError = validateQuestion(question);
+    if (validationError)
+      return res.status(400).json({ error: validationError });
+
+    // Hydrate through the schema so defaults (points, matching) apply
+    const [previewQuestion] = new Quiz({ questions: [question] }).questions;
+    const { status, pointsAwarded } = gradeQuestion(previewQuestion, {
+      selectedAnswer: answer,
+    });
+
+    res.json({ status, pointsAwarded });
+  } catch (error) {
+    console.error("Error previewing answer:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/import:
+ *   post:
+ *     summary: Bulk import questions
+ *     description: |
+ *       Parses questions from CSV, JSON, GIFT or Aiken and validates each one with the same rules as /quiz/save.
+ *       With `dryRun` the parsed questions and per-row errors are returned without saving. Otherwise the
+ *       questions are appended to the draft quiz `quizId`, or a new unpublished quiz is created from `quiz`.
+ *
+ *       - **csv**: header row `type,questionText,options,correctAnswer,explanation,points,penalty`. Lists are
+ *         separated by `|` and matching pairs are written in `options` as `left=right`.
+ *       - **json**: an array of questions, or `{ "questions": [...] }`, using the /quiz/save question fields. Only json can give a question's `section`.
+ *       - **gift**: Moodle GIFT (multiple choice, multiple answers, true/false, short answer, numerical, matching, essay).
+ *       - **aiken**: Moodle Aiken multiple choice.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [format, content]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: ["csv", "json", "gift", "aiken"]
+ *                 example: "aiken"
+ *               content:
+ *                 description: The file contents. For json this may also be the parsed array or object.
+ *                 example: "What is 2 + 2?\nA. 3\nB. 4\nANSWER: B"
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Only return the preview.
+ *                 default: false
+ *               quizId:
+ *                 type: string
+ *                 description: Append to this unpublished, unattempted quiz.
+ *               quiz:
+ *                 type: object
+ *                 description: Fields for a new quiz when no quizId is given (same as /quiz/save, without questions).
+ *     responses:
+ *       200:
+ *         description: Preview (dry run) or questions appended to the quiz.
+ *         content:
+ *           application/json:
+ *             example:
+ *               dryRun: true
+ *               total: 2
+ *               questions:
+ *                 - type: "multiple-choice"
+ *                   questionText: "What is 2 + 2?"
+ *                   options: ["3", "4"]
+ *                   correctAnswer: "4"
+ *               errors:
+ *                 - row: 5
+ *                   error: "Missing \"ANSWER:\" line"
+ *       201:
+ *         description: New draft quiz created from the imported questions.
+ *       400:
+ *         description: Unknown format, invalid questions or invalid quiz fields.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: A student account, not the quiz creator, or the quiz is published or has been attempted.
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/import", creatorOnly, async (req, res) => {
+  try {
+    const { format, content, dryRun, quizId } = req.body;
+
+    if (!IMPORT_FORMATS.includes(format))
+      return res
+        .status(400)
+        .json({ error: `Format must be one of: ${IMPORT_FORMATS.join(", ")}` });
+    if (
+      content === undefined ||
+      (format !== "json" && typeof content !== "string")
+    )
+      return res.status(400).json({ error: "Content is required" });
+
+    const preview = previewImport(format, content);
+    if (dryRun) return res.json({ dryRun: true, ...preview });
+
+    if (preview.errors.length > 0)
+      return res.status(400).json({
+        error: "Some questions could not be imported",
+        errors: preview.errors,
+      });
+    if (preview.questions.length === 0)
+      return res.status(400).json({ error: "No questions to import" });
+
+    if (quizId) {
+      const quiz = await Quiz.findById(quizId);
+      if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+      if (quiz.createdBy.toString() !== req.user._id.toString())
+        return res
+          .status(403)
+          .json({ error: "Unauthorized to edit this quiz" });
+
+      if (quiz.published || quiz.attemptCount > 0)
+        return res.status(403).json({
+          error: "Questions can only be imported into an unpublished draft",
+        });
+
+      const questions = [...quiz.toObject().questions, ...preview.questions];
+      const validationError = validateQuiz({ ...quiz.toObject(), questions });
+      if (validationError)
+        return res.status(400).json({ error: validationError });
+
+      await saveVersion(quiz);
+      quiz.questions.push(...preview.questions);
+      quiz.version += 1;
+      quiz.lastEdited = new Date();
+      await quiz.save();
+      await saveVersion(quiz, {
+        note: `Imported ${preview.questions.length} questions`,
+        editedBy: req.user._id,
+      });
+
+      return res.json({
+        message: `${preview.questions.length} questions imported`,
+        quiz,
+      });
+    }
+
+    const fields = req.body.quiz || {};
+    const validationError =
+      validateQuiz({ ...fields, questions: preview.questions }) ||
+      (await validateClassAssignment(fields.classes, req.user._id));
+    if (validationError)
+      return res.status(400).json({ error: validationError });
+
+    const newQuiz = new Quiz({
+      title: fields.title,
+      description: fields.description,
+      category: fields.category,
+      coverImage: fields.coverImage,
+      createdBy: req.user._id,
+      creatorName: req.user.name,
+      questions: preview.questions,
+      timeLimit: fields.timeLimit,
+      maxAttemptsPerUser: fields.maxAttemptsPerUser,
+      shuffleQuestions: fields.shuffleQuestions,
+      shuffleOptions: fields.shuffleOptions,
+      questionsPerAttempt: fields.questionsPerAttempt,
+      sections: fields.sections,
+      leaderboardEnabled: fields.leaderboardEnabled,
+      anonymizeLeaderboard: fields.anonymizeLeaderboard,
+      leaderboardPolicy: fields.leaderboardPolicy,
+      dateOpens: new Date(fields.dateOpens),
+      dateCloses: new Date(fields.dateCloses),
+      // Imports always start as a draft to review before publishing
+      published: false,
+      classes: fields.classes || [],
+    });
+
+    await newQuiz.save();
+    await saveVersion(newQuiz, { editedBy: req.user._id });
+    res.status(201).json({
+      message: `${preview.questions.length} questions imported`,
+      quiz: newQuiz,
+    });
+  } catch (error) {
+    console.error("Error importing questions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * @swagger
  * /quiz/edit/{quizId}:
  *   put:
  *     summary: Edit an existing quiz
- *     description: Allows the quiz creator to update an existing quiz. Cannot edit if the quiz has been attempted.
+ *     description: Allows the quiz creator to update an existing quiz. Every edit creates a new version. Attempts keep being graded against the version they were started on until the creator regrades them with /quiz/{quizId}/regrade. Send each question's `_id` to keep its identity across versions.
  *     tags:
  *       - Quizzes
  *     security:
@@ -199,26 +595,104 @@ router.post("/save", authenticateJWT, async (req, res) => {
  *                 items:
  *                   type: object
  *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       description: Id of an existing question. Questions without one are added as new questions.
  *                     questionText:
  *                       type: string
  *                       example: "Updated question text?"
  *                     type:
  *                       type: string
- *                       enum: ["multiple-choice", "text"]
+ *                       enum: ["multiple-choice", "short-answer", "true-false", "multiple-select", "ordering", "matching", "essay"]
  *                     options:
  *                       type: array
  *                       items:
  *                         type: string
  *                       example: ["Option A", "Option B"]
+ *                     correctAnswer:
+ *                       type: string
+ *                       example: "Option A"
+ *                     matching:
+ *                       type: object
+ *                       description: Short-answer matching policy (case-insensitive, whitespace/punctuation normalisation, accepted alternatives, numeric tolerance, regex pattern).
+ *                     correctAnswers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Correct options for multiple-select, or every option in the correct order for ordering.
+ *                     pairs:
+ *                       type: array
+ *                       description: Matching pairs (only for matching).
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           left:
+ *                             type: string
+ *                           right:
+ *                             type: string
+ *                     partialCredit:
+ *                       type: boolean
+ *                       description: Award partial points for multiple-select, ordering and matching instead of all-or-nothing.
+ *                       default: false
+ *                     bankQuestionId:
+ *                       type: string
+ *                       description: Reference a question bank entry instead of giving the content. The entry's current version is snapshotted into the quiz when the question is first attached; questions kept from the current quiz (same _id) keep their snapshot and bankVersion. Points and penalty may still be overridden.
+ *                     section:
+ *                       type: integer
+ *                       description: Index of the question's section (only for quizzes with sections).
+ *                     points:
+ *                       type: number
+ *                       description: Points for a correct answer. Must be greater than 0.
+ *                       default: 1
+ *                     penalty:
+ *                       type: number
+ *                       description: Points deducted for an incorrect answer.
+ *                       default: 0
  *               timeLimit:
  *                 type: integer
  *                 example: 15
  *               maxAttemptsPerUser:
  *                 type: integer
  *                 example: 5
- *               totalScore:
+ *               shuffleQuestions:
+ *                 type: boolean
+ *                 description: Show the questions in a random order per attempt.
+ *                 example: false
+ *               shuffleOptions:
+ *                 type: boolean
+ *                 description: Show the options (and ordering/matching items) in a random order per attempt.
+ *                 example: false
+ *               questionsPerAttempt:
  *                 type: integer
- *                 example: 120
+ *                 nullable: true
+ *                 description: Draw this many random questions from the quiz for each attempt. Null uses every question.
+ *                 example: null
+ *               sections:
+ *                 type: array
+ *                 description: Ordered sub-tests with their own timer. Every question then needs a `section` index, and timeLimit becomes the sum of the durations.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                       example: "Verbal"
+ *                     duration:
+ *                       type: integer
+ *                       description: Minutes.
+ *                       example: 30
+ *               leaderboardEnabled:
+ *                 type: boolean
+ *                 description: Show the quiz leaderboard to takers. The creator can always see it.
+ *                 example: true
+ *               anonymizeLeaderboard:
+ *                 type: boolean
+ *                 description: Hide taker names on the leaderboard.
+ *                 example: false
+ *               leaderboardPolicy:
+ *                 type: string
+ *                 enum: ["best", "first"]
+ *                 description: Which attempt ranks a user with several attempts.
+ *                 example: "best"
  *               dateOpens:
  *                 type: string
  *                 format: date-time
@@ -230,21 +704,30 @@ router.post("/save", authenticateJWT, async (req, res) => {
  *               published:
  *                 type: boolean
  *                 example: true
+ *               classes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ids of the creator's classes. Only their members can see and take the quiz. Empty makes the quiz public; leave it out to keep the current classes.
+ *               note:
+ *                 type: string
+ *                 description: Change note shown in the version history.
+ *                 example: "Fixed the answer to question 3"
  *     responses:
  *       200:
- *         description: Quiz updated successfully.
+ *         description: Quiz updated successfully. `regradeAvailable` is true when the edit changes how existing attempts would be graded.
  *       400:
  *         description: Validation error (e.g., incorrect data format).
  *       401:
  *         description: Unauthorized (JWT missing or invalid).
  *       403:
- *         description: Forbidden (not the quiz creator or quiz has been attempted).
+ *         description: Forbidden (a student account, or not the quiz creator).
  *       404:
  *         description: Quiz not found.
  *       500:
  *         description: Internal server error.
  */
-router.put("/edit/:quizId", authenticateJWT, async (req, res) => {
+router.put("/edit/:quizId", creatorOnly, async (req, res) => {
   try {
     const { quizId } = req.params;
     const {
@@ -252,13 +735,20 @@ router.put("/edit/:quizId", authenticateJWT, async (req, res) => {
       description,
       category,
       coverImage,
-      questions,
       timeLimit,
       maxAttemptsPerUser,
-      totalScore,
+      shuffleQuestions,
+      shuffleOptions,
+      questionsPerAttempt,
+      sections,
+      leaderboardEnabled,
+      anonymizeLeaderboard,
+      leaderboardPolicy,
       dateOpens,
       dateCloses,
       published,
+      classes,
+      note,
     } = req.body;
 
     let quiz = await Quiz.findById(quizId);
@@ -270,47 +760,25 @@ router.put("/edit/:quizId", authenticateJWT, async (req, res) => {
       return res.status(403).json({ error: "Unauthorized to edit this quiz" });
     }
 
-    if (quiz.attemptCount > 0) {
-      return res
-        .status(403)
-        .json({ error: "Quiz cannot be edited after it has been attempted." });
-    }
+    // Snapshot newly attached question bank entries; attached ones keep
+    // their version
+    const { questions, error: bankError } = await resolveBankQuestions(
+      req.body.questions,
+      req.user._id,
+      quiz.questions
+    );
+    if (bankError) return res.status(400).json({ error: bankError });
+
     // Backend validation
-    if (!title.trim())
-      return res.status(400).json({ error: "Title is required" });
-    if (!timeLimit || timeLimit < 1) {
-      return res
-        .status(400)
-        .json({ error: "Time limit must be at least 1 minute" });
-    }
-    if (!dateOpens || !dateCloses) {
-      return res
-        .status(400)
-        .json({ error: "Quiz must have an opening and closing date" });
-    }
-    if (new Date(dateOpens) >= new Date(dateCloses)) {
-      return res
-        .status(400)
-        .json({ error: "Closing date must be after opening date" });
-    }
-    if (!questions || questions.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Quiz must have at least one question" });
-    }
+    const validationError =
+      validateQuiz({ ...req.body, questions }) ||
+      (await validateClassAssignment(classes, req.user._id));
+    if (validationError)
+      return res.status(400).json({ error: validationError });
 
-    for (const question of questions) {
-      if (!question.questionText.trim()) {
-        return res.status(400).json({ error: "Every question must have text" });
-      }
-      if (question.type === "multiple-choice") {
-        if (!question.options || question.options.length < 2) {
-          return res.status(400).json({
-            error: `Question "${question.questionText}" must have at least 2 options`,
-          });
-        }
-      }
-    }
+    // Keep the version existing attempts were taken against
+    await saveVersion(quiz);
+    const previous = quiz.toObject();
 
     // Update quiz fields
     quiz.title = title;
@@ -320,16 +788,32 @@ router.put("/edit/:quizId", authenticateJWT, async (req, res) => {
     quiz.questions = questions;
     quiz.timeLimit = timeLimit;
     quiz.maxAttemptsPerUser = maxAttemptsPerUser;
-    quiz.totalScore = totalScore;
+    quiz.shuffleQuestions = shuffleQuestions;
+    quiz.shuffleOptions = shuffleOptions;
+    quiz.questionsPerAttempt = questionsPerAttempt;
+    quiz.sections = sections || [];
+    quiz.leaderboardEnabled = leaderboardEnabled ?? true;
+    quiz.anonymizeLeaderboard = anonymizeLeaderboard ?? false;
+    quiz.leaderboardPolicy = leaderboardPolicy ?? "best";
     quiz.dateOpens = new Date(dateOpens);
     quiz.dateCloses = new Date(dateCloses);
     quiz.published = published;
+    // Leaving classes out keeps the current assignment
+    if (classes !== undefined) quiz.classes = classes;
+    quiz.version += 1;
     quiz.lastEdited = new Date();
 
     // Save updated quiz
     await quiz.save();
+    await saveVersion(quiz, { note, editedBy: req.user._id });
 
-    res.status(200).json({ message: "Quiz updated successfully", quiz });
+    // Attempts keep their version until the creator asks for a regrade
+    const { gradingChanged } = diffVersions(previous, quiz);
+    res.status(200).json({
+      message: "Quiz updated successfully",
+      quiz,
+      regradeAvailable: gradingChanged && quiz.attemptCount > 0,
+    });
   } catch (error) {
     console.error("Error updating quiz:", error);
     res.status(500).json({ error: "Internal server error" });
@@ -388,6 +872,7 @@ router.delete("/delete/:quizId", authenticateJWT, async (req, res) => {
 
     // Delete quiz
     await Quiz.findByIdAndDelete(quizId);
+    await QuizVersion.deleteMany({ quizId });
 
     res.status(200).json({ message: "Quiz deleted successfully" });
   } catch (error) {
@@ -401,7 +886,7 @@ router.delete("/delete/:quizId", authenticateJWT, async (req, res) => {
  * /quiz/all:
  *   get:
  *     summary: Get all published quizzes
- *     description: Retrieve a paginated list of available quizzes that are published and open.
+ *     description: Retrieve a paginated list of available quizzes that are published and open. Quizzes assigned to classes are only listed when a token of a class member is sent.
  *     tags:
  *       - Quizzes
  *     parameters:
@@ -416,6 +901,11 @@ router.delete("/delete/:quizId", authenticateJWT, async (req, res) => {
  *           type: string
  *         description: Filter quizzes by category.
  *       - in: query
+ *         name: creator
+ *         schema:
+ *           type: string
+ *         description: Only quizzes created by this user id.
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -459,17 +949,26 @@ router.delete("/delete/:quizId", authenticateJWT, async (req, res) => {
  *                 currentPage:
  *                   type: integer
  *                   example: 1
+ *       400:
+ *         description: Invalid creator id.
  *       500:
  *         description: Internal server error.
  */
-router.get("/all", async (req, res) => {
+router.get("/all", optionalAuth, async (req, res) => {
   try {
     const now = new Date();
-    const { search, category, page = 1, limit = 6 } = req.query;
+    const { search, category, creator, page = 1, limit = 6 } = req.query;
 
     const filters = {
       published: true,
       dateOpens: { $lte: now },
+      // Public quizzes, plus the class quizzes of the signed-in user
+      $or: [
+        { "classes.0": { $exists: false } },
+        {
+          classes: { $in: req.user ? await memberClassIds(req.user._id) : [] },
+        },
+      ],
     };
 
     // Apply search filter (case-insensitive)
@@ -482,6 +981,13 @@ router.get("/all", async (req, res) => {
       filters.category = category;
     }
 
+    // Apply creator filter
+    if (creator) {
+      if (!mongoose.isValidObjectId(creator))
+        return res.status(400).json({ error: "Invalid creator id" });
+      filters.createdBy = creator;
+    }
+
     // Pagination settings
     const pageNumber = parseInt(page, 10) || 1;
     const pageSize = parseInt(limit, 10) || 6;
@@ -561,7 +1067,7 @@ router.get("/my-quizzes", authenticateJWT, async (req, res) => {
  * /quiz/details/{quizId}:
  *   get:
  *     summary: Get public details of a quiz
- *     description: Retrieve quiz details without questions. Only published quizzes that are open can be accessed.
+ *     description: Retrieve quiz details without questions. Only published quizzes that are open can be accessed. Quizzes assigned to classes need the token of a class member.
  *     tags:
  *       - Quizzes
  *     parameters:
@@ -599,13 +1105,13 @@ router.get("/my-quizzes", authenticateJWT, async (req, res) => {
  *                       format: date-time
  *                       example: "2025-03-10T08:00:00.000Z"
  *       403:
- *         description: Access denied - Quiz is not available yet.
+ *         description: Access denied - Quiz is not available yet, or only available to class members.
  *       404:
  *         description: Quiz not found.
  *       500:
  *         description: Internal server error.
  */
-router.get("/details/:quizId", async (req, res) => {
+router.get("/details/:quizId", optionalAuth, async (req, res) => {
   try {
     const quiz = await Quiz.findById(req.params.quizId).select("-questions");
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
@@ -615,6 +1121,13 @@ router.get("/details/:quizId", async (req, res) => {
         .status(403)
         .json({ error: "Access denied. Quiz is not available yet." });
     }
+    if (!(await canAccessQuiz(quiz, req.user && req.user._id))) {
+      return res
+        .status(403)
+        .json({
+          error: "Access denied. Quiz is only available to class members.",
+        });
+    }
 
     return res.json({ quiz });
   } catch (error) {
@@ -625,10 +1138,10 @@ router.get("/details/:quizId", async (req, res) => {
 
 /**
  * @swagger
- * /quiz/{quizId}:
+ * /quiz/{quizId}/analytics:
  *   get:
- *     summary: Get full quiz details (requires authentication)
- *     description: Retrieve quiz details, including questions if the user is the creator. If the quiz is unpublished or not open yet, only the creator can access it.
+ *     summary: Get item analysis statistics for a quiz
+ *     description: Score distribution and per-question statistics over all submitted attempts. Only accessible to the quiz creator.
  *     tags:
  *       - Quizzes
  *     security:
@@ -639,60 +1152,931 @@ router.get("/details/:quizId", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the quiz to retrieve.
+ *         description: ID of the quiz.
  *     responses:
  *       200:
- *         description: Quiz details retrieved successfully.
+ *         description: Quiz analytics.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 quiz:
+ *                 attemptCount:
+ *                   type: integer
+ *                 score:
  *                   type: object
  *                   properties:
- *                     _id:
- *                       type: string
- *                       example: "65d3f5a3c3e2b56a1a3b4c5d"
- *                     title:
- *                       type: string
- *                       example: "Math Quiz"
- *                     createdBy:
- *                       type: string
- *                       example: "60d3f5a3c3e2b56a1a3b4c5d"
- *                     published:
- *                       type: boolean
- *                       example: true
- *                     dateOpens:
- *                       type: string
- *                       format: date-time
- *                       example: "2025-03-10T08:00:00.000Z"
- *       202:
- *         description: Quiz retrieved but limited access (not the creator).
+ *                     mean:
+ *                       type: number
+ *                     median:
+ *                       type: number
+ *                     standardDeviation:
+ *                       type: number
+ *                     min:
+ *                       type: number
+ *                     max:
+ *                       type: number
+ *                 meanPercentage:
+ *                   type: number
+ *                 averageTimeTaken:
+ *                   type: number
+ *                   description: Seconds.
+ *                 histogram:
+ *                   type: array
+ *                   description: Attempts per 10% percentage bucket.
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: number
+ *                       to:
+ *                         type: number
+ *                       count:
+ *                         type: integer
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       questionId:
+ *                         type: string
+ *                       correctRate:
+ *                         type: number
+ *                       skipRate:
+ *                         type: number
+ *                       discrimination:
+ *                         type: number
+ *                         description: Correct rate of the top 27% scorers minus that of the bottom 27%.
+ *                       options:
+ *                         type: array
+ *                         description: How often each option was chosen (choice questions only).
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
  *       403:
- *         description: Access denied - Quiz is not available yet.
+ *         description: Forbidden (not the quiz creator).
  *       404:
  *         description: Quiz not found.
  *       500:
  *         description: Internal server error.
  */
-router.get("/:quizId", authenticateJWT, async (req, res) => {
+router.get("/:quizId/analytics", authenticateJWT, async (req, res) => {
   try {
     const quiz = await Quiz.findById(req.params.quizId);
     if (!quiz) return res.status(404).json({ error: "Quiz not found" });
 
-    const userId = req.user._id.toString();
-    const isCreator = quiz.createdBy.toString() === userId; // Check if user is the creator
-    const now = new Date();
-    if ((!quiz.published || now < quiz.dateOpens) && !isCreator) {
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
       return res
         .status(403)
-        .json({ error: "Access denied. Quiz is not available yet." });
+        .json({ error: "Unauthorized to view this quiz's analytics" });
     }
 
-    if (!isCreator) {
+    const analytics = await getQuizAnalytics(quiz);
+    res.json({ quizId: quiz._id, ...analytics });
+  } catch (error) {
+    console.error("Error computing quiz analytics:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/export:
+ *   get:
+ *     summary: Export a quiz
+ *     description: |
+ *       Downloads the quiz in a portable format. Only accessible to the quiz creator.
+ *
+ *       - **json**: quiz settings and questions; the questions can be imported again through /quiz/import.
+ *       - **gift**: Moodle GIFT text. Ordering questions have no GIFT equivalent and are skipped.
+ *       - **qti**: QTI 2.1 content package (zip) for LMS import, with question points as item weights.
+ *       - **html**: printable exam sheet, or an answer key with explanations when `answers=true`.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: ["json", "gift", "qti", "html"]
+ *           default: json
+ *         description: Export format.
+ *       - in: query
+ *         name: answers
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the answer key and explanations (html only).
+ *     responses:
+ *       200:
+ *         description: The export file.
+ *         content:
+ *           application/json: {}
+ *           text/plain: {}
+ *           application/zip: {}
+ *           text/html: {}
+ *       400:
+ *         description: Unsupported format.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/export", authenticateJWT, async (req, res) => {
+  try {
+    const { format = "json", answers } = req.query;
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to export this quiz" });
+    }
+
+    if (!QUIZ_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Format must be one of ${QUIZ_EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const filename = `quiz-${quiz._id}`;
+    switch (format) {
+      case "gift":
+        res.attachment(`${filename}.gift.txt`);
+        return res.type("text/plain; charset=utf-8").send(toGift(quiz));
+      case "qti":
+        res.attachment(`${filename}-qti.zip`);
+        res.type("application/zip");
+        return await streamQti(quiz, res);
+      case "html":
+        // Shown inline so it can be printed straight from the browser
+        return res
+          .type("text/html; charset=utf-8")
+          .send(toHtml(quiz, { withAnswers: answers === "true" }));
+      default:
+        res.attachment(`${filename}.json`);
+        return res.json(toJson(quiz));
+    }
+  } catch (error) {
+    console.error("Error exporting quiz:", error);
+    // Headers are gone once streaming started
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/versions:
+ *   get:
+ *     summary: List the version history of a quiz
+ *     description: Every save, edit, import and errata creates a version. Each entry shows how many finished attempts are still graded against it. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *     responses:
+ *       200:
+ *         description: Versions, newest first.
+ *         content:
+ *           application/json:
+ *             example:
+ *               currentVersion: 3
+ *               versions:
+ *                 - version: 3
+ *                   kind: "errata"
+ *                   note: "Typo in question 2"
+ *                   createdAt: "2025-03-12T08:00:00.000Z"
+ *                   totalScore: 10
+ *                   attempts: 0
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/versions", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to view this quiz's versions" });
+    }
+
+    let versions = await QuizVersion.find({ quizId: quiz._id })
+      .select("version kind note editedBy createdAt totalScore")
+      .sort({ version: -1 })
+      .lean();
+    // Quizzes from before versioning only have their current version
+    if (versions.length === 0) {
+      versions = [
+        {
+          version: quiz.version,
+          kind: "edit",
+          note: "",
+          createdAt: quiz.createdAt,
+          totalScore: quiz.totalScore,
+        },
+      ];
+    }
+
+    const counts = await Attempt.aggregate([
+      { $match: { quizId: quiz._id, status: { $ne: "in-progress" } } },
+      { $group: { _id: { $ifNull: ["$quizVersion", 1] }, count: { $sum: 1 } } },
+    ]);
+    const attemptsByVersion = new Map(
+      counts.map((entry) => [entry._id, entry.count])
+    );
+
+    res.json({
+      currentVersion: quiz.version,
+      versions: versions.map((version) => ({
+        ...version,
+        attempts: attemptsByVersion.get(version.version) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching quiz versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a quiz
+ *     description: Lists changed settings and the questions added, removed and changed between two versions. Questions are matched by id. `gradingChanged` is true when attempts could score differently. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The older version.
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: The newer version. Defaults to the current version.
+ *     responses:
+ *       200:
+ *         description: The differences between the versions.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: 1
+ *               to: 2
+ *               settings: []
+ *               questions:
+ *                 added: []
+ *                 removed: []
+ *                 changed:
+ *                   - questionId: "65f1c0a2b4d3e2a1f0c9b8a7"
+ *                     questionText: "What is 2 + 2?"
+ *                     changes:
+ *                       - field: "correctAnswer"
+ *                         from: "5"
+ *                         to: "4"
+ *               gradingChanged: true
+ *       400:
+ *         description: Invalid version numbers.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz or version not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/versions/diff", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to view this quiz's versions" });
+    }
+
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? quiz.version : Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to))
+      return res.status(400).json({ error: "from and to must be versions" });
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getVersion(quiz, from),
+      getVersion(quiz, to),
+    ]);
+    if (!fromVersion || !toVersion)
+      return res.status(404).json({ error: "Version not found" });
+
+    res.json(diffVersions(fromVersion, toVersion));
+  } catch (error) {
+    console.error("Error comparing quiz versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a quiz
+ *     description: The settings and questions of the quiz as they were in that version. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The version number.
+ *     responses:
+ *       200:
+ *         description: The version snapshot.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz or version not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/versions/:version", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to view this quiz's versions" });
+    }
+
+    const version = await getVersion(quiz, Number(req.params.version));
+    if (!version) return res.status(404).json({ error: "Version not found" });
+
+    res.json({ version });
+  } catch (error) {
+    console.error("Error fetching quiz version:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/errata:
+ *   post:
+ *     summary: Fix question text without changing grading
+ *     description: Corrects the title, description, question text or explanations of a quiz, for example a typo in a live exam. Creates an errata version that applies to running and finished attempts, and never changes scores. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [questionId]
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     questionText:
+ *                       type: string
+ *                     explanation:
+ *                       type: string
+ *               note:
+ *                 type: string
+ *                 example: "Typo in question 2"
+ *     responses:
+ *       200:
+ *         description: Errata applied.
+ *       400:
+ *         description: Invalid corrections.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz or question not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/:quizId/errata", authenticateJWT, async (req, res) => {
+  try {
+    const { title, description, questions = [], note = "" } = req.body;
+
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Unauthorized to edit this quiz" });
+    }
+
+    if (!Array.isArray(questions))
+      return res.status(400).json({ error: "Questions must be an array" });
+    if (title !== undefined && (typeof title !== "string" || !title.trim()))
+      return res.status(400).json({ error: "Title cannot be empty" });
+    if (title === undefined && description === undefined && !questions.length)
+      return res.status(400).json({ error: "Nothing to correct" });
+
+    for (const fix of questions) {
+      const question = fix && quiz.questions.id(fix.questionId);
+      if (!question)
+        return res.status(404).json({ error: "Question not found" });
+
+      const fields = Object.keys(fix).filter((key) => key !== "questionId");
+      if (!fields.every((field) => ERRATA_FIELDS.includes(field)))
+        return res.status(400).json({
+          error: `Errata can only change ${ERRATA_FIELDS.join(
+            " and "
+          )}; edit the quiz to change grading`,
+        });
+      if (
+        fix.questionText !== undefined &&
+        (typeof fix.questionText !== "string" || !fix.questionText.trim())
+      )
+        return res.status(400).json({ error: "Question text cannot be empty" });
+    }
+
+    await saveVersion(quiz);
+    if (title !== undefined) quiz.title = title;
+    if (description !== undefined) quiz.description = description;
+    questions.forEach((fix) => {
+      const question = quiz.questions.id(fix.questionId);
+      ERRATA_FIELDS.forEach((field) => {
+        if (fix[field] !== undefined) question[field] = fix[field];
+      });
+    });
+    quiz.version += 1;
+    quiz.lastEdited = new Date();
+    await quiz.save();
+    await saveVersion(quiz, { kind: "errata", note, editedBy: req.user._id });
+
+    res.json({ message: "Errata applied", quiz });
+  } catch (error) {
+    console.error("Error applying errata:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/regrade:
+ *   post:
+ *     summary: Start a regrade of all attempts
+ *     description: Queues a background job that grades every finished attempt again against the current version of the quiz, pins it to that version and records an audit entry (old and new score) on it. The quiz's attempt count and score sum are recomputed at the end. Essays that were already graded keep their grade; attempts still in progress are left alone. Poll /quiz/{quizId}/regrade/{jobId} for the result. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *     responses:
+ *       202:
+ *         description: Regrade queued.
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Regrade started"
+ *               jobId: "65f1c0a2b4d3e2a1f0c9b8a7"
+ *               version: 2
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz not found.
+ *       409:
+ *         description: A regrade of this quiz is already queued or running. The response contains its jobId.
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/:quizId/regrade", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to regrade this quiz" });
+    }
+
+    const [running] = await agenda.jobs({
+      name: "regrade quiz",
+      "data.quizId": quiz._id,
+      lastFinishedAt: null,
+    });
+    if (running) {
+      return res.status(409).json({
+        error: "A regrade of this quiz is already running",
+        jobId: running.attrs._id,
+      });
+    }
+
+    const job = await agenda.now("regrade quiz", {
+      quizId: quiz._id,
+      requestedBy: req.user._id,
+    });
+    res.status(202).json({
+      message: "Regrade started",
+      jobId: job.attrs._id,
+      version: quiz.version,
+    });
+  } catch (error) {
+    console.error("Error starting regrade:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/regrade/{jobId}:
+ *   get:
+ *     summary: Get the status of a regrade job
+ *     description: Status is one of queued, running, completed or failed. `progress` counts the attempts processed so far and holds the final summary once the job has completed. Only accessible to the quiz creator.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the quiz.
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The jobId returned when the regrade was started.
+ *     responses:
+ *       200:
+ *         description: Job status.
+ *         content:
+ *           application/json:
+ *             example:
+ *               jobId: "65f1c0a2b4d3e2a1f0c9b8a7"
+ *               status: "completed"
+ *               progress:
+ *                 total: 17
+ *                 processed: 17
+ *                 regraded: 14
+ *                 unchanged: 3
+ *                 skipped: 0
+ *                 totals:
+ *                   attemptCount: 17
+ *                   scoreSum: 123
+ *               startedAt: "2025-03-12T08:00:00.000Z"
+ *               finishedAt: "2025-03-12T08:00:04.000Z"
+ *               failReason: null
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Forbidden (not the quiz creator).
+ *       404:
+ *         description: Quiz or job not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/regrade/:jobId", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    if (quiz.createdBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ error: "Unauthorized to regrade this quiz" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId))
+      return res.status(404).json({ error: "Job not found" });
+
+    const [job] = await agenda.jobs({
+      _id: new mongoose.Types.ObjectId(req.params.jobId),
+      name: "regrade quiz",
+      "data.quizId": quiz._id,
+    });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    const { lastRunAt, lastFinishedAt, failedAt, failReason, data } = job.attrs;
+    let status = "queued";
+    if (failedAt) status = "failed";
+    else if (lastFinishedAt) status = "completed";
+    else if (lastRunAt) status = "running";
+
+    res.json({
+      jobId: job.attrs._id,
+      status,
+      progress: data.progress || null,
+      startedAt: lastRunAt || null,
+      finishedAt: lastFinishedAt || null,
+      failReason: failReason || null,
+    });
+  } catch (error) {
+    console.error("Error fetching regrade status:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}/leaderboard:
+ *   get:
+ *     summary: Get the quiz leaderboard
+ *     description: Users ranked by score, with time taken as the tie-breaker. Only the creator can see it when the leaderboard is disabled. Names are hidden from takers when the quiz anonymises its leaderboard.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the quiz.
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *           enum: ["best", "first"]
+ *         description: Rank each user's best or first attempt. Defaults to the quiz's leaderboardPolicy.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of entries per page.
+ *     responses:
+ *       200:
+ *         description: A page of the leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       userName:
+ *                         type: string
+ *                       score:
+ *                         type: number
+ *                       percentage:
+ *                         type: number
+ *                       timeTaken:
+ *                         type: number
+ *                         description: Seconds.
+ *                       isCurrentUser:
+ *                         type: boolean
+ *                 totalPages:
+ *                   type: integer
+ *                 currentPage:
+ *                   type: integer
+ *       400:
+ *         description: Invalid policy.
+ *       401:
+ *         description: Unauthorized (JWT missing or invalid).
+ *       403:
+ *         description: Leaderboard is disabled for this quiz.
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId/leaderboard", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId).select("-questions");
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const userId = req.user._id.toString();
+    const isCreator = quiz.createdBy.toString() === userId;
+    if (
+      !isCreator &&
+      (!quiz.published ||
+        !quiz.leaderboardEnabled ||
+        !(await canAccessQuiz(quiz, req.user._id)))
+    ) {
+      return res
+        .status(403)
+        .json({ error: "Leaderboard is not available for this quiz" });
+    }
+
+    const { policy = quiz.leaderboardPolicy } = req.query;
+    if (!LEADERBOARD_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        error: `Policy must be one of ${LEADERBOARD_POLICIES.join(", ")}`,
+      });
+    }
+
+    // Pagination settings
+    const { pageNumber, pageSize } = parsePagination(req.query, 20);
+
+    const { entries, total } = await getLeaderboard(quiz, {
+      policy,
+      page: pageNumber,
+      pageSize,
+    });
+
+    const anonymize = quiz.anonymizeLeaderboard && !isCreator;
+    res.json({
+      entries: entries.map((entry, index) => {
+        const isCurrentUser = entry._id.toString() === userId;
+        return {
+          rank: entry.rank,
+          // Numbered by row, since tied entries share a rank
+          userName:
+            anonymize && !isCurrentUser
+              ? `Participant #${(pageNumber - 1) * pageSize + index + 1}`
+              : entry.userName,
+          score: entry.score,
+          percentage: entry.percentage,
+          timeTaken: Math.round(entry.timeTaken / 1000),
+          isCurrentUser,
+        };
+      }),
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
+    });
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * @swagger
+ * /quiz/{quizId}:
+ *   get:
+ *     summary: Get full quiz details (requires authentication)
+ *     description: Retrieve quiz details. The creator receives the full quiz. Other users receive the taker view (no correct answers or explanations), and only while they have an in-progress attempt. If the quiz is unpublished or not open yet, only the creator can access it.
+ *     tags:
+ *       - Quizzes
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the quiz to retrieve.
+ *     responses:
+ *       200:
+ *         description: Quiz details retrieved successfully.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 quiz:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: "65d3f5a3c3e2b56a1a3b4c5d"
+ *                     title:
+ *                       type: string
+ *                       example: "Math Quiz"
+ *                     createdBy:
+ *                       type: string
+ *                       example: "60d3f5a3c3e2b56a1a3b4c5d"
+ *                     published:
+ *                       type: boolean
+ *                       example: true
+ *                     dateOpens:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2025-03-10T08:00:00.000Z"
+ *       202:
+ *         description: Taker view of the quiz, without answers or explanations (not the creator).
+ *       403:
+ *         description: Access denied - Quiz is not available yet, or the user has no in-progress attempt.
+ *       404:
+ *         description: Quiz not found.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:quizId", authenticateJWT, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId);
+    if (!quiz) return res.status(404).json({ error: "Quiz not found" });
+
+    const userId = req.user._id.toString();
+    const isCreator = quiz.createdBy.toString() === userId; // Check if user is the creator
+    const now = new Date();
+    if ((!quiz.published || now < quiz.dateOpens) && !isCreator) {
+      return res
+        .status(403)
+        .json({ error: "Access denied. Quiz is not available yet." });
+    }
+
+    if (!isCreator) {
+      // Takers only get the questions while an attempt is running
+      const attempt = await Attempt.findOne({
+        userId: req.user._id,
+        quizId: quiz._id,
+        status: "in-progress",
+      });
+      if (!attempt) {
+        return res.status(403).json({
+          error: "Access denied. Start an attempt to view questions.",
+        });
+      }
+
       res.set("Cache-Control", "no-store");
-      return res.status(202).json({ quiz });
+      return res.status(202).json({
+        quiz: toTakerView(await getAttemptQuiz(quiz, attempt), attempt),
+      });
     }
 
     return res.json({ quiz });
@@ -0,0 +1,109 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const User = require("../models/User");
+const Quiz = require("../models/Quiz");
+const {
+  publicQuizFilter,
+  getCreatorStats,
+} = require("../services/creatorProfile");
+const { parsePagination } = require("../services/pagination");
+
+const CREATOR_ROLES = ["creator", "admin"];
+
+/**
+ * @swagger
+ * /user/{userId}:
+ *   get:
+ *     summary: Public creator profile
+ *     description: A creator's public profile with their published quizzes and aggregate stats. Quizzes assigned to classes are left out. No authentication needed.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number of the quiz list.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of quizzes per page.
+ *     responses:
+ *       200:
+ *         description: The creator's profile.
+ *         content:
+ *           application/json:
+ *             example:
+ *               creator:
+ *                 _id: "65f1c0a2b4d3e2a1f0c9b8a1"
+ *                 name: "Budi Santoso"
+ *                 avatar: "https://lh3.googleusercontent.com/a/example"
+ *                 bio: "Physics teacher"
+ *                 school: "SMA Negeri 1 Bandung"
+ *                 createdAt: "2025-01-10T08:00:00.000Z"
+ *               stats:
+ *                 publishedQuizzes: 12
+ *                 totalAttempts: 480
+ *                 averagePercentage: 71.25
+ *               quizzes: []
+ *               totalPages: 2
+ *               currentPage: 1
+ *       404:
+ *         description: No creator with this id, or the creator has no public quizzes.
+ *       500:
+ *         description: Internal server error.
+ */
+router.get("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId))
+      return res.status(404).json({ error: "Creator not found" });
+
+    const creator = await User.findOne({
+      _id: userId,
+      role: { $in: CREATOR_ROLES },
+      suspended: { $ne: true },
+    }).select("name avatar bio school createdAt");
+    if (!creator) return res.status(404).json({ error: "Creator not found" });
+
+    // Accounts that kept the creator role from before roles existed are
+    // often students, so only users with a public quiz have a profile
+    const stats = await getCreatorStats(creator._id);
+    if (stats.publishedQuizzes === 0)
+      return res.status(404).json({ error: "Creator not found" });
+
+    // Pagination settings
+    const { pageNumber, pageSize, skip } = parsePagination(req.query, 6);
+
+    const quizzes = await Quiz.find(publicQuizFilter(creator._id))
+      .select("-questions") // Exclude questions
+      .sort({ createdAt: -1 }) // Newest first
+      .skip(skip)
+      .limit(pageSize);
+
+    res.json({
+      creator,
+      stats,
+      quizzes,
+      totalPages: Math.ceil(stats.publishedQuizzes / pageSize),
+      currentPage: pageNumber,
+    });
+  } catch (error) {
+    console.error("Error fetching creator profile:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+module.exports = router;
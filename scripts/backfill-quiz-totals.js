@@ -0,0 +1,19 @@
+// totalScore used to be the running sum of attempt scores; it is now the
+// maximum score and that sum lives in scoreSum. Recompute both for every
+// quiz. Safe to run more than once.
+const Quiz = require("../models/Quiz");
+const { recomputeQuizTotals } = require("../services/grading");
+const runMigration = require("./runMigration");
+
+runMigration("backfill-quiz-totals", async () => {
+  let quizzes = 0;
+  const cursor = Quiz.find().select("questions.points").cursor();
+  for await (const quiz of cursor) {
+    const totalScore = quiz.questions.reduce((sum, q) => sum + q.points, 0);
+    // updateOne rather than save, so lastEdited is left alone
+    await Quiz.updateOne({ _id: quiz._id }, { $set: { totalScore } });
+    await recomputeQuizTotals(quiz._id);
+    quizzes++;
+  }
+  return { quizzes };
+});
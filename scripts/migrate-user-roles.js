@@ -0,0 +1,14 @@
+// Everyone could create quizzes before roles existed. Accounts saved without
+// a role already load as creators; this stores the role on them so queries
+// on `role` (admin user filters, creator profiles) find them too.
+// Safe to run more than once.
+const User = require("../models/User");
+const runMigration = require("./runMigration");
+
+runMigration("migrate-user-roles", async () => {
+  const { modifiedCount } = await User.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: "creator" } }
+  );
+  return { promotedToCreator: modifiedCount };
+});
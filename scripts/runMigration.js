@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+/**
+ * Connect to MONGO_URI, run a one-off migration and disconnect. The
+ * migration resolves to a summary that is printed when it finishes.
+ */
+const runMigration = async (name, migrate) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    const summary = await migrate();
+    console.log(`${name}:`, summary);
+  } catch (err) {
+    console.error(`${name} failed:`, err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+module.exports = runMigration;
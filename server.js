@@ -46,10 +46,18 @@ mongoose
 const authRoutes = require("./routes/auth");
 const quizRoutes = require("./routes/quiz");
 const attemptRoutes = require("./routes/attempt");
+const bankRoutes = require("./routes/bank");
+const adminRoutes = require("./routes/admin");
+const classRoutes = require("./routes/class");
+const userRoutes = require("./routes/user");
 
 app.use("/auth", authRoutes);
 app.use("/quiz", quizRoutes);
 app.use("/attempt", attemptRoutes);
+app.use("/bank", bankRoutes);
+app.use("/admin", adminRoutes);
+app.use("/class", classRoutes);
+app.use("/user", userRoutes);
 
 // Run
 
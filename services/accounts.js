@@ -0,0 +1,178 @@
+const archiver = require("archiver");
+const User = require("../models/User");
+const Quiz = require("../models/Quiz");
+const Attempt = require("../models/Attempt");
+const BankQuestion = require("../models/BankQuestion");
+const Classroom = require("../models/Classroom");
+const ModerationLog = require("../models/ModerationLog");
+const RefreshToken = require("../models/RefreshToken");
+const EmailToken = require("../models/EmailToken");
+const AuthCode = require("../models/AuthCode");
+const { deleteClassroom } = require("./classAccess");
+
+// Shown wherever a deleted account's name was stored
+const DELETED_USER_NAME = "Deleted user";
+
+const PROFILE_LIMITS = { name: 100, bio: 500, school: 150 };
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check a profile update. Only name, avatar, bio, school and timezone can
+ * be changed; avatar and timezone accept null to clear them. Returns
+ * `{ error }` or `{ updates }` with trimmed values.
+ */
+const validateProfileUpdate = (body) => {
+  const updates = {};
+
+  for (const field of ["name", "bio", "school"]) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "string")
+      return { error: `${field} must be a string` };
+    const value = body[field].trim();
+    if (value.length > PROFILE_LIMITS[field])
+      return {
+        error: `${field} must be at most ${PROFILE_LIMITS[field]} characters`,
+      };
+    updates[field] = value;
+  }
+  if (updates.name === "") return { error: "name cannot be empty" };
+
+  if (body.avatar !== undefined) {
+    if (body.avatar === null || body.avatar === "") updates.avatar = null;
+    else if (
+      typeof body.avatar !== "string" ||
+      !/^https?:\/\/\S+$/.test(body.avatar)
+    )
+      return { error: "avatar must be an http(s) URL" };
+    else updates.avatar = body.avatar;
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone === null || body.timezone === "") updates.timezone = null;
+    else if (
+      typeof body.timezone !== "string" ||
+      !isValidTimezone(body.timezone)
+    )
+      return { error: "timezone must be an IANA time zone name" };
+    else updates.timezone = body.timezone;
+  }
+
+  return { updates };
+};
+
+/**
+ * Copy a user's name onto the documents that store it, so listings,
+ * leaderboards and class rosters show the new name.
+ */
+const propagateName = async (userId, name) => {
+  await Promise.all([
+    Quiz.updateMany({ createdBy: userId }, { $set: { creatorName: name } }),
+    Attempt.updateMany({ userId }, { $set: { userName: name } }),
+    Classroom.updateMany({ teacher: userId }, { $set: { teacherName: name } }),
+    Classroom.updateMany(
+      { "members.userId": userId },
+      { $set: { "members.$[member].name": name } },
+      { arrayFilters: [{ "member.userId": userId }] }
+    ),
+  ]);
+};
+
+/**
+ * Stream a zip of everything stored about a user: profile, quizzes they
+ * created, their attempts, classes and question bank. Rejects on archive
+ * errors and stops early when the client disconnects.
+ */
+const streamAccountExport = async (user, res) => {
+  const [quizzes, attempts, teaching, joined, bankQuestions] =
+    await Promise.all([
+      Quiz.find({ createdBy: user._id }).lean(),
+      Attempt.find({ userId: user._id }).lean(),
+      Classroom.find({ teacher: user._id }).lean(),
+      Classroom.find({ "members.userId": user._id })
+        .select("name description teacherName members.$")
+        .lean(),
+      BankQuestion.find({ createdBy: user._id }).lean(),
+    ]);
+
+  const json = (value) => JSON.stringify(value, null, 2);
+  const archive = archiver("zip");
+  const stopped = new Promise((resolve, reject) => {
+    const fail = (err) => {
+      archive.abort();
+      reject(err);
+    };
+    archive.on("error", fail);
+    // Only raised for missing files, which an in-memory archive never has
+    archive.on("warning", fail);
+    res.on("close", () => {
+      if (!res.writableFinished) archive.abort();
+      resolve();
+    });
+  });
+  archive.pipe(res);
+
+  archive.append(json({ exportedAt: new Date(), user: user.toObject() }), {
+    name: "profile.json",
+  });
+  archive.append(json(quizzes), { name: "quizzes.json" });
+  archive.append(json(attempts), { name: "attempts.json" });
+  archive.append(json({ teaching, joined }), { name: "classes.json" });
+  archive.append(json(bankQuestions), { name: "question-bank.json" });
+
+  await Promise.race([archive.finalize(), stopped]);
+};
+
+/**
+ * Delete a user's account. Quizzes and attempts stay for other users'
+ * results but lose the name; classes the user teaches, their question
+ * bank and their sessions are removed.
+ */
+const deleteAccount = async (user) => {
+  const userId = user._id;
+
+  const classes = await Classroom.find({ teacher: userId });
+  for (const classroom of classes) {
+    await deleteClassroom(classroom);
+  }
+
+  await Promise.all([
+    Quiz.updateMany(
+      { createdBy: userId },
+      { $set: { creatorName: DELETED_USER_NAME } }
+    ),
+    Attempt.updateMany({ userId }, { $set: { userName: DELETED_USER_NAME } }),
+    Classroom.updateMany(
+      { "members.userId": userId },
+      { $pull: { members: { userId } } }
+    ),
+    ModerationLog.updateMany(
+      { admin: userId },
+      { $set: { adminName: DELETED_USER_NAME } }
+    ),
+    ModerationLog.updateMany(
+      { targetType: "User", targetId: userId },
+      { $set: { targetName: DELETED_USER_NAME } }
+    ),
+    BankQuestion.deleteMany({ createdBy: userId }),
+    RefreshToken.deleteMany({ userId }),
+    EmailToken.deleteMany({ userId }),
+    AuthCode.deleteMany({ userId }),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = {
+  validateProfileUpdate,
+  propagateName,
+  streamAccountExport,
+  deleteAccount,
+};
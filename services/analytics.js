@@ -0,0 +1,242 @@
+const Attempt = require("../models/Attempt");
+
+// Share of attempts in the top and bottom groups for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+const HISTOGRAM_BUCKET = 10; // Percentage points per histogram bucket
+const CHOICE_TYPES = ["multiple-choice", "multiple-select", "true-false"];
+
+const round = (value, digits = 2) =>
+  value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+
+const ratio = (count, total) => (total > 0 ? round(count / total, 4) : null);
+
+const scoreSummary = async (match) => {
+  const [summary] = await Attempt.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        mean: { $avg: "$score" },
+        standardDeviation: { $stdDevPop: "$score" },
+        min: { $min: "$score" },
+        max: { $max: "$score" },
+        meanPercentage: { $avg: "$percentage" },
+        averageTimeTaken: {
+          $avg: {
+            $subtract: [
+              { $ifNull: ["$submittedAt", "$endTime"] },
+              "$startTime",
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return summary || null;
+};
+
+const medianScore = async (match, count) => {
+  // Middle one or two scores of the sorted attempts
+  const middle = await Attempt.aggregate([
+    { $match: match },
+    { $sort: { score: 1 } },
+    { $skip: Math.floor((count - 1) / 2) },
+    { $limit: count % 2 === 0 ? 2 : 1 },
+    { $project: { score: 1 } },
+  ]);
+  return (
+    middle.reduce((sum, attempt) => sum + attempt.score, 0) / middle.length
+  );
+};
+
+const percentageHistogram = async (match) => {
+  const boundaries = [];
+  for (let from = 0; from < 100; from += HISTOGRAM_BUCKET)
+    boundaries.push(from);
+  boundaries.push(101); // 100% belongs to the last bucket
+
+  const buckets = await Attempt.aggregate([
+    { $match: match },
+    {
+      $bucket: {
+        // Negative percentages (penalties) count as 0%
+        groupBy: {
+          $max: [0, { $min: [100, { $ifNull: ["$percentage", 0] }] }],
+        },
+        boundaries,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ]);
+
+  return boundaries.slice(0, -1).map((from) => {
+    const bucket = buckets.find((b) => b._id === from);
+    return {
+      from,
+      to: Math.min(from + HISTOGRAM_BUCKET, 100),
+      count: bucket ? bucket.count : 0,
+    };
+  });
+};
+
+const resultCounts = async (match) =>
+  Attempt.aggregate([
+    { $match: match },
+    { $unwind: "$results" },
+    {
+      $group: {
+        _id: "$results.questionId",
+        total: { $sum: 1 },
+        correct: {
+          $sum: { $cond: [{ $eq: ["$results.status", "correct"] }, 1, 0] },
+        },
+        partial: {
+          $sum: { $cond: [{ $eq: ["$results.status", "partial"] }, 1, 0] },
+        },
+        incorrect: {
+          $sum: { $cond: [{ $eq: ["$results.status", "incorrect"] }, 1, 0] },
+        },
+        skipped: {
+          $sum: { $cond: [{ $eq: ["$results.status", "unanswered"] }, 1, 0] },
+        },
+        averagePoints: { $avg: "$results.pointsAwarded" },
+      },
+    },
+  ]);
+
+// Correct answer rate per question in the top and bottom scoring groups
+const groupCorrectRates = async (match, groupSize) => {
+  const correctRate = [
+    { $unwind: "$results" },
+    {
+      $group: {
+        _id: "$results.questionId",
+        rate: {
+          $avg: { $cond: [{ $eq: ["$results.status", "correct"] }, 1, 0] },
+        },
+      },
+    },
+  ];
+
+  const [groups] = await Attempt.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        top: [{ $sort: { score: -1 } }, { $limit: groupSize }, ...correctRate],
+        bottom: [
+          { $sort: { score: 1 } },
+          { $limit: groupSize },
+          ...correctRate,
+        ],
+      },
+    },
+  ]);
+  return groups;
+};
+
+const optionCounts = async (match, questionIds) =>
+  Attempt.aggregate([
+    { $match: match },
+    { $unwind: "$answers" },
+    { $match: { "answers.questionId": { $in: questionIds } } },
+    // Multiple-select answers are arrays, count each chosen option
+    { $unwind: "$answers.selectedAnswer" },
+    {
+      $group: {
+        _id: {
+          questionId: "$answers.questionId",
+          option: "$answers.selectedAnswer",
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+/**
+ * Item analysis and score statistics for a quiz, computed with aggregation
+ * pipelines over its submitted attempts.
+ */
+const getQuizAnalytics = async (quiz) => {
+  const match = { quizId: quiz._id, status: "submitted" };
+
+  const summary = await scoreSummary(match);
+  const count = summary ? summary.count : 0;
+  const groupSize = Math.max(1, Math.floor(count * DISCRIMINATION_GROUP));
+
+  const choiceQuestionIds = quiz.questions
+    .filter((question) => CHOICE_TYPES.includes(question.type))
+    .map((question) => question._id);
+
+  let median = null;
+  let results = [];
+  let groups = { top: [], bottom: [] };
+  let options = [];
+  if (count > 0) {
+    [median, results, groups, options] = await Promise.all([
+      medianScore(match, count),
+      resultCounts(match),
+      groupCorrectRates(match, groupSize),
+      optionCounts(match, choiceQuestionIds),
+    ]);
+  }
+  const histogram = await percentageHistogram(match);
+
+  const findById = (list, questionId) =>
+    list.find((item) => item._id.toString() === questionId.toString());
+
+  const questions = quiz.questions.map((question) => {
+    const counts = findById(results, question._id) || { total: 0 };
+    const top = findById(groups.top, question._id);
+    const bottom = findById(groups.bottom, question._id);
+    const discrimination =
+      top && bottom && count > 1 ? round(top.rate - bottom.rate, 4) : null;
+
+    const stats = {
+      questionId: question._id,
+      questionText: question.questionText,
+      type: question.type,
+      responses: counts.total,
+      correctRate: ratio(counts.correct, counts.total),
+      partialRate: ratio(counts.partial, counts.total),
+      incorrectRate: ratio(counts.incorrect, counts.total),
+      skipRate: ratio(counts.skipped, counts.total),
+      averagePoints: round(counts.averagePoints),
+      discrimination,
+    };
+
+    if (CHOICE_TYPES.includes(question.type)) {
+      const choices =
+        question.type === "true-false" ? ["true", "false"] : question.options;
+      stats.options = choices.map((option) => {
+        const entry = options.find(
+          (item) =>
+            item._id.questionId.toString() === question._id.toString() &&
+            item._id.option === option
+        );
+        const chosen = entry ? entry.count : 0;
+        return { option, count: chosen, rate: ratio(chosen, counts.total) };
+      });
+    }
+
+    return stats;
+  });
+
+  return {
+    attemptCount: count,
+    score: {
+      mean: summary ? round(summary.mean) : null,
+      median: median == null ? null : round(median),
+      standardDeviation: summary ? round(summary.standardDeviation) : null,
+      min: summary ? summary.min : null,
+      max: summary ? summary.max : null,
+    },
+    meanPercentage: summary ? round(summary.meanPercentage) : null,
+    averageTimeTaken: summary ? round(summary.averageTimeTaken / 1000) : null, // Seconds
+    histogram,
+    questions,
+  };
+};
+
+module.exports = { getQuizAnalytics };
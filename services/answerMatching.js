@@ -0,0 +1,152 @@
+// Patterns run on the event loop, so both sides are kept small
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_ANSWER_LENGTH = 200;
+// More unbounded quantifiers in a row make backtracking polynomially slower
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+
+const quantifierAt = (pattern, index) => {
+  const char = pattern[index];
+  if (char === "*" || char === "+" || char === "?") {
+    return { length: 1, unbounded: char !== "?", optional: char === "?" };
+  }
+  if (char === "{") {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (match) {
+      return {
+        length: match[0].length,
+        unbounded: match[2] !== undefined && match[3] === "",
+        optional: false,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a matching pattern can be run without catastrophic
+ * backtracking. Rejects backreferences, repeated groups that contain a
+ * quantifier or an alternation (nested or overlapping quantifiers), and
+ * more than MAX_UNBOUNDED_QUANTIFIERS unbounded quantifiers.
+ */
+const isSafePattern = (pattern) => {
+  if (typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH)
+    return false;
+
+  const groups = [{ risky: false }];
+  let unbounded = 0;
+
+  // Consume a quantifier after position i; returns it or null
+  const takeQuantifier = (i) => {
+    const quantifier = quantifierAt(pattern, i + 1);
+    if (!quantifier) return null;
+    if (quantifier.unbounded) unbounded++;
+    quantifier.end = i + quantifier.length;
+    if (pattern[quantifier.end + 1] === "?") quantifier.end++; // Lazy
+    return quantifier;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "(") {
+      groups.push({ risky: false });
+      // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name>
+      if (pattern[i + 1] === "?") {
+        const prefix = /^\?(<[=!]|<[^>]*>|[:=!])/.exec(pattern.slice(i + 1));
+        if (prefix) i += prefix[0].length;
+      }
+      continue;
+    }
+    if (char === "|") {
+      groups[groups.length - 1].risky = true;
+      continue;
+    }
+    if (char === ")") {
+      const group = groups.pop();
+      if (groups.length === 0) return false; // Unbalanced
+      const quantifier = takeQuantifier(i);
+      if (quantifier && !quantifier.optional && group.risky) return false;
+      if (quantifier || group.risky) groups[groups.length - 1].risky = true;
+      if (quantifier) i = quantifier.end;
+      continue;
+    }
+
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      if (/[1-9]/.test(next) || next === "k") return false; // Backreference
+      i++;
+    } else if (char === "[") {
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    }
+
+    const quantifier = takeQuantifier(i);
+    if (quantifier) {
+      groups[groups.length - 1].risky = true;
+      i = quantifier.end;
+    }
+  }
+
+  return unbounded <= MAX_UNBOUNDED_QUANTIFIERS;
+};
+
+// Accepts both "3.5" and the Indonesian "3,5"
+const parseNumber = (value) => {
+  const text = String(value).trim().replace(",", ".");
+  return text === "" ? NaN : Number(text);
+};
+
+const normalize = (value, matching) => {
+  let text = String(value);
+  if (matching.ignorePunctuation) text = text.replace(/[\p{P}\p{S}]/gu, "");
+  if (matching.normalizeWhitespace) text = text.trim().replace(/\s+/g, " ");
+  if (matching.caseInsensitive) text = text.toLowerCase();
+  return text;
+};
+
+/**
+ * Check a short-answer response against the question's matching policy.
+ * Without a policy this is a strict comparison with correctAnswer.
+ */
+const matchShortAnswer = (question, answer) => {
+  const matching = question.matching || {};
+  const expected = [
+    question.correctAnswer,
+    ...(matching.acceptedAnswers || []),
+  ];
+
+  if (matching.numeric) {
+    const value = parseNumber(answer);
+    if (Number.isNaN(value)) return false;
+    const tolerance = matching.tolerance || 0;
+    return expected.some(
+      (candidate) => Math.abs(parseNumber(candidate) - value) <= tolerance
+    );
+  }
+
+  const normalized = normalize(answer, matching);
+  if (
+    expected.some((candidate) => normalize(candidate, matching) === normalized)
+  )
+    return true;
+
+  // Unsafe patterns never match, even if saved before they were rejected
+  if (
+    matching.pattern &&
+    normalized.length <= MAX_PATTERN_ANSWER_LENGTH &&
+    isSafePattern(matching.pattern)
+  ) {
+    const flags = matching.caseInsensitive ? "iu" : "u";
+    return new RegExp(`^(?:${matching.pattern})$`, flags).test(normalized);
+  }
+
+  return false;
+};
+
+module.exports = {
+  matchShortAnswer,
+  parseNumber,
+  isSafePattern,
+  MAX_PATTERN_LENGTH,
+};
@@ -0,0 +1,67 @@
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+/**
+ * An empty answer ("", [] or a matching answer with nothing matched)
+ * clears the saved answer for a question and is graded as unanswered.
+ */
+const isEmptyAnswer = (answer) =>
+  answer === "" ||
+  (Array.isArray(answer) && answer.every((item) => item === ""));
+
+// Expected answer shape, keyed by question type
+const ANSWER_VALIDATORS = {
+  "multiple-choice": (question, answer) => {
+    if (typeof answer !== "string") return "Answer must be a string";
+    if (!question.options.includes(answer))
+      return "Answer is not one of the question's options";
+    return null;
+  },
+  "short-answer": (question, answer) =>
+    typeof answer !== "string" ? "Answer must be a string" : null,
+  essay: (question, answer) =>
+    typeof answer !== "string" ? "Answer must be a string" : null,
+  "true-false": (question, answer) =>
+    ["true", "false"].includes(answer)
+      ? null
+      : 'Answer must be "true" or "false"',
+  "multiple-select": (question, answer) => {
+    if (!isStringArray(answer)) return "Answer must be a list of options";
+    if (new Set(answer).size !== answer.length)
+      return "Answer contains duplicate options";
+    if (!answer.every((item) => question.options.includes(item)))
+      return "Answer is not one of the question's options";
+    return null;
+  },
+  ordering: (question, answer) => {
+    if (!isStringArray(answer)) return "Answer must be a list of items";
+    if (
+      answer.length !== question.options.length ||
+      new Set(answer).size !== answer.length ||
+      !answer.every((item) => question.options.includes(item))
+    )
+      return "Answer must contain every item exactly once";
+    return null;
+  },
+  // One right-hand item (or "" when unmatched) per pair, in pair order
+  matching: (question, answer) => {
+    const rights = question.pairs.map((pair) => pair.right);
+    if (!isStringArray(answer) || answer.length !== question.pairs.length)
+      return "Answer must contain one match per item";
+    if (!answer.every((item) => item === "" || rights.includes(item)))
+      return "Answer contains an unknown match";
+    return null;
+  },
+};
+
+/**
+ * Validate the shape of a non-empty answer saved through /attempt/save.
+ * Returns an error message, or null when the answer is valid.
+ */
+const validateAnswer = (question, answer) => {
+  const validator = ANSWER_VALIDATORS[question.type];
+  if (!validator) return "Question type cannot be answered";
+  return validator(question, answer);
+};
+
+module.exports = { isEmptyAnswer, validateAnswer };
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Classroom = require("../models/Classroom");
+const Quiz = require("../models/Quiz");
+
+// No 0/O or 1/I, so codes can be read out loud and typed without mistakes
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+
+const generateInviteCode = () =>
+  Array.from(
+    crypto.randomBytes(INVITE_CODE_LENGTH),
+    (byte) => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]
+  ).join("");
+
+/** Ids of the classes a user has joined. */
+const memberClassIds = (userId) =>
+  Classroom.find({ "members.userId": userId }).distinct("_id");
+
+const isRestricted = (quiz) => Boolean(quiz.classes && quiz.classes.length);
+
+/**
+ * Whether a user may see and take a quiz. Quizzes without classes are
+ * public; class quizzes are open to their creator and class members.
+ */
+const canAccessQuiz = async (quiz, userId) => {
+  if (!isRestricted(quiz)) return true;
+  if (!userId) return false;
+  if (quiz.createdBy && quiz.createdBy.toString() === userId.toString())
+    return true;
+  return Boolean(
+    await Classroom.exists({
+      _id: { $in: quiz.classes },
+      "members.userId": userId,
+    })
+  );
+};
+
+/**
+ * Check the classes a quiz is assigned to. Creators can only assign their
+ * own classes. Returns an error message, or null when valid.
+ */
+const validateClassAssignment = async (classIds, userId) => {
+  if (classIds === undefined || classIds === null) return null;
+  if (!Array.isArray(classIds)) return "Classes must be an array";
+  if (!classIds.every((id) => mongoose.isValidObjectId(id)))
+    return "Invalid class id";
+
+  const uniqueIds = [...new Set(classIds.map(String))];
+  const owned = await Classroom.countDocuments({
+    _id: { $in: uniqueIds },
+    teacher: userId,
+  });
+  if (owned !== uniqueIds.length)
+    return "Quizzes can only be assigned to your own classes";
+  return null;
+};
+
+/**
+ * Delete a class and drop it from every quiz. Quizzes restricted to this
+ * class alone are unpublished rather than turned public.
+ */
+const deleteClassroom = async (classroom) => {
+  await Quiz.updateMany(
+    { classes: [classroom._id] },
+    { $set: { published: false } }
+  );
+  await Quiz.updateMany(
+    { classes: classroom._id },
+    { $pull: { classes: classroom._id } }
+  );
+  await Classroom.deleteOne({ _id: classroom._id });
+};
+
+module.exports = {
+  generateInviteCode,
+  memberClassIds,
+  isRestricted,
+  canAccessQuiz,
+  validateClassAssignment,
+  deleteClassroom,
+};
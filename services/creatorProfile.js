@@ -0,0 +1,48 @@
+const Quiz = require("../models/Quiz");
+const Attempt = require("../models/Attempt");
+
+// Quizzes anyone can see on a creator's profile: published, open, no classes
+const publicQuizFilter = (creatorId) => ({
+  createdBy: creatorId,
+  published: true,
+  dateOpens: { $lte: new Date() },
+  "classes.0": { $exists: false },
+});
+
+/**
+ * Aggregate stats over a creator's public quizzes: how many there are,
+ * how many attempts they received and the mean percentage of the graded
+ * attempts.
+ */
+const getCreatorStats = async (creatorId) => {
+  const filter = publicQuizFilter(creatorId);
+  const [quizTotals] = await Quiz.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        publishedQuizzes: { $sum: 1 },
+        totalAttempts: { $sum: "$attemptCount" },
+        quizIds: { $push: "$_id" },
+      },
+    },
+  ]);
+  if (!quizTotals) {
+    return { publishedQuizzes: 0, totalAttempts: 0, averagePercentage: null };
+  }
+
+  const [scores] = await Attempt.aggregate([
+    { $match: { quizId: { $in: quizTotals.quizIds }, status: "submitted" } },
+    { $group: { _id: null, averagePercentage: { $avg: "$percentage" } } },
+  ]);
+
+  return {
+    publishedQuizzes: quizTotals.publishedQuizzes,
+    totalAttempts: quizTotals.totalAttempts,
+    averagePercentage: scores
+      ? Math.round(scores.averagePercentage * 100) / 100
+      : null,
+  };
+};
+
+module.exports = { publicQuizFilter, getCreatorStats };
@@ -0,0 +1,49 @@
+const Attempt = require("../models/Attempt");
+const { canAccessQuiz } = require("./classAccess");
+
+// Human readable messages for every ineligibility reason
+const REASON_MESSAGES = {
+  "not-published": "Quiz is not published",
+  "not-in-class": "Quiz is only available to members of its classes",
+  "not-open": "Quiz is not open yet",
+  closed: "Quiz is already closed",
+  "attempt-limit-reached": "Maximum number of attempts reached",
+  "already-in-progress": "An attempt is already in progress",
+};
+
+/**
+ * Decide whether a user may start an attempt on a quiz.
+ * Used by both POST /attempt/start and GET /attempt/eligibility/:quizId so
+ * the frontend and the backend always agree.
+ */
+const checkEligibility = async (quiz, userId, now = new Date()) => {
+  const [inProgressAttempt, attemptsUsed, hasAccess] = await Promise.all([
+    Attempt.findOne({ userId, quizId: quiz._id, status: "in-progress" }),
+    Attempt.countDocuments({ userId, quizId: quiz._id }),
+    canAccessQuiz(quiz, userId),
+  ]);
+
+  const attemptsRemaining =
+    quiz.maxAttemptsPerUser != null
+      ? Math.max(quiz.maxAttemptsPerUser - attemptsUsed, 0)
+      : null;
+
+  let reason = null;
+  if (!quiz.published) reason = "not-published";
+  else if (!hasAccess) reason = "not-in-class";
+  else if (now < quiz.dateOpens) reason = "not-open";
+  else if (now >= quiz.dateCloses) reason = "closed";
+  else if (inProgressAttempt) reason = "already-in-progress";
+  else if (attemptsRemaining === 0) reason = "attempt-limit-reached";
+
+  return {
+    eligible: reason === null,
+    reason,
+    message: reason ? REASON_MESSAGES[reason] : null,
+    attemptsUsed,
+    attemptsRemaining,
+    inProgressAttempt,
+  };
+};
+
+module.exports = { checkEligibility, REASON_MESSAGES };
@@ -0,0 +1,87 @@
+const crypto = require("crypto");
+const EmailToken = require("../models/EmailToken");
+const User = require("../models/User");
+const { sendMail } = require("./mailer");
+const { hashToken } = require("./tokens");
+
+// Lifetime in minutes and the frontend page each link opens
+const PURPOSES = {
+  "verify-email": { ttl: 24 * 60, page: "/auth/verify-email" },
+  "reset-password": { ttl: 60, page: "/auth/reset-password" },
+  "magic-link": { ttl: 15, page: "/auth/magic-link" },
+};
+
+/**
+ * Create a one-time token for the user. Earlier unused tokens for the same
+ * purpose are invalidated so only the latest email works.
+ */
+const createEmailToken = async (user, purpose) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await EmailToken.updateMany(
+    { userId: user._id, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await EmailToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + PURPOSES[purpose].ttl * 60000),
+  });
+
+  return token;
+};
+
+/**
+ * Mark a token as used and resolve to its user, or null when the token is
+ * unknown, expired, already used or meant for something else.
+ */
+const consumeEmailToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+
+  const consumed = await EmailToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!consumed) return null;
+
+  return User.findById(consumed.userId);
+};
+
+const linkFor = (purpose, token) =>
+  `${process.env.FRONTEND_URL}${PURPOSES[purpose].page}?token=${token}`;
+
+const EMAILS = {
+  "verify-email": (user, link) => ({
+    subject: "Verify your SusunSoal email",
+    text: `Hi ${
+      user.name || ""
+    },\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+  }),
+  "reset-password": (user, link) => ({
+    subject: "Reset your SusunSoal password",
+    text: `Hi ${
+      user.name || ""
+    },\n\nSomeone asked to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If this wasn't you, ignore this email.`,
+  }),
+  "magic-link": (user, link) => ({
+    subject: "Your SusunSoal sign-in link",
+    text: `Hi ${
+      user.name || ""
+    },\n\nOpen this link to sign in:\n${link}\n\nThe link expires in 15 minutes and works once. If this wasn't you, ignore this email.`,
+  }),
+};
+
+// Create a token for the purpose and mail its link to the user
+const sendEmailToken = async (user, purpose) => {
+  const token = await createEmailToken(user, purpose);
+  const { subject, text } = EMAILS[purpose](user, linkFor(purpose, token));
+  await sendMail({ to: user.email, subject, text });
+};
+
+module.exports = { sendEmailToken, consumeEmailToken };
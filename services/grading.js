@@ -0,0 +1,378 @@
+const Attempt = require("../models/Attempt");
+const Quiz = require("../models/Quiz");
+const { matchShortAnswer } = require("./answerMatching");
+const { isEmptyAnswer } = require("./answerValidation");
+const { getAttemptQuestions } = require("./shuffle");
+
+// Attempts regraded between progress reports of a regrade job
+const PROGRESS_INTERVAL = 50;
+
+// Share of each array position that matches
+const positionalCredit = (expected, answer) =>
+  expected.filter((value, index) => answer[index] === value).length /
+  expected.length;
+
+// Credit between 0 and 1 for an answer, keyed by question type
+const GRADERS = {
+  "multiple-choice": (question, answer) =>
+    answer === question.correctAnswer ? 1 : 0,
+  "short-answer": (question, answer) =>
+    matchShortAnswer(question, answer) ? 1 : 0,
+  "true-false": (question, answer) =>
+    answer === question.correctAnswer ? 1 : 0,
+  "multiple-select": (question, answer) => {
+    const correct = question.correctAnswers;
+    const hits = answer.filter((option) => correct.includes(option)).length;
+    const misses = answer.length - hits;
+    return Math.max((hits - misses) / correct.length, 0);
+  },
+  ordering: (question, answer) =>
+    positionalCredit(question.correctAnswers, answer),
+  matching: (question, answer) =>
+    positionalCredit(
+      question.pairs.map((pair) => pair.right),
+      answer
+    ),
+};
+
+/**
+ * Grade a single question against the taker's answer (if any).
+ * Returns the result entry stored on the attempt.
+ */
+const gradeQuestion = (question, answer) => {
+  if (!answer || isEmptyAnswer(answer.selectedAnswer)) {
+    return { questionId: question._id, status: "unanswered", pointsAwarded: 0 };
+  }
+
+  // Essays wait in the creator's grading queue
+  if (question.type === "essay") {
+    return { questionId: question._id, status: "pending", pointsAwarded: 0 };
+  }
+
+  const credit = GRADERS[question.type](question, answer.selectedAnswer);
+  if (credit === 1) {
+    return {
+      questionId: question._id,
+      status: "correct",
+      pointsAwarded: question.points,
+    };
+  }
+  if (credit > 0 && question.partialCredit) {
+    return {
+      questionId: question._id,
+      status: "partial",
+      pointsAwarded: Math.round(question.points * credit * 100) / 100,
+    };
+  }
+
+  return {
+    questionId: question._id,
+    status: "incorrect",
+    pointsAwarded: -question.penalty,
+  };
+};
+
+/**
+ * Total up graded results. The score is only final once no result is
+ * pending manual review.
+ */
+const summarizeResults = (quiz, results) => {
+  const findQuestion = (result) =>
+    quiz.questions.find(
+      (q) => q._id.toString() === result.questionId.toString()
+    );
+  const toPercentage = (score, maxScore) =>
+    maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+
+  const pending = results.some((result) => result.status === "pending");
+  const score = results.reduce((sum, result) => sum + result.pointsAwarded, 0);
+  // Only the questions drawn for the attempt count towards its maximum
+  const maxScore = results.reduce((sum, result) => {
+    const question = findQuestion(result);
+    return sum + (question ? question.points : 0);
+  }, 0);
+
+  const sectionScores = (quiz.sections || []).map((section, index) => {
+    const sectionScore = {
+      section: index,
+      title: section.title,
+      score: 0,
+      maxScore: 0,
+    };
+    results.forEach((result) => {
+      const question = findQuestion(result);
+      if (question && question.section === index) {
+        sectionScore.score += result.pointsAwarded;
+        sectionScore.maxScore += question.points;
+      }
+    });
+    return sectionScore;
+  });
+
+  return {
+    pending,
+    score,
+    maxScore,
+    percentage: toPercentage(score, maxScore),
+    sectionScores,
+  };
+};
+
+/**
+ * Grade every question of a quiz, or only the questions drawn for the
+ * attempt when it has a question order. Answers to questions that are no
+ * longer part of the quiz are ignored.
+ */
+const gradeAnswers = (quiz, answers, questionOrder = []) => {
+  const questions = getAttemptQuestions(quiz, questionOrder);
+  const results = questions.map((question) =>
+    gradeQuestion(
+      question,
+      answers.find(
+        (ans) => ans.questionId.toString() === question._id.toString()
+      )
+    )
+  );
+
+  return { ...summarizeResults(quiz, results), results };
+};
+
+/**
+ * Grade and submit an in-progress attempt. Used by both the manual submit
+ * route and the Agenda auto-submit job. Attempts with ungraded essays are
+ * stored as "pending-review" without a score.
+ *
+ * The status transition is conditional, so when two submits race only one
+ * of them updates the quiz counters. Returns null for the loser.
+ */
+const submitAttempt = async (attempt, quiz) => {
+  const { pending, score, maxScore, percentage, sectionScores, results } =
+    gradeAnswers(quiz, attempt.answers, attempt.questionOrder);
+
+  const submitted = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress" },
+    {
+      $set: {
+        status: pending ? "pending-review" : "submitted",
+        score: pending ? null : score,
+        maxScore,
+        percentage: pending ? null : percentage,
+        sectionScores,
+        results,
+        submittedAt: new Date(),
+        currentSection: null,
+      },
+    },
+    { new: true }
+  );
+  if (!submitted) return null;
+
+  const updatedQuiz = await Quiz.findByIdAndUpdate(
+    quiz._id,
+    { $inc: { scoreSum: pending ? 0 : score, attemptCount: 1 } },
+    { new: true }
+  );
+
+  return { attempt: submitted, quiz: updatedQuiz };
+};
+
+/**
+ * Record the creator's grade and comment for one essay response. Once no
+ * essay is pending the attempt is finalised and counted in the quiz score.
+ * Grading an already finalised attempt adjusts its score.
+ */
+const gradeEssay = async (attempt, quiz, questionId, points, comment) => {
+  const question = quiz.questions.id(questionId);
+  let status = "partial";
+  if (points === question.points) status = "correct";
+  else if (points === 0) status = "incorrect";
+
+  const graded = await Attempt.findOneAndUpdate(
+    {
+      _id: attempt._id,
+      status: { $in: ["pending-review", "submitted"] },
+      "results.questionId": question._id,
+    },
+    {
+      $set: {
+        "results.$.status": status,
+        "results.$.pointsAwarded": points,
+        "results.$.comment": comment || null,
+        "results.$.gradedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!graded) return null;
+
+  const { pending, score, percentage, sectionScores } = summarizeResults(
+    quiz,
+    graded.results
+  );
+  if (pending) {
+    return Attempt.findByIdAndUpdate(
+      graded._id,
+      { $set: { sectionScores } },
+      { new: true }
+    );
+  }
+
+  // Only the update that moves the score counts it towards the quiz
+  const previousStatus = graded.status;
+  const previousScore = graded.score || 0;
+  const finalised = await Attempt.findOneAndUpdate(
+    { _id: graded._id, status: previousStatus, score: graded.score },
+    { $set: { status: "submitted", score, percentage, sectionScores } },
+    { new: true }
+  );
+  if (!finalised) return Attempt.findById(graded._id);
+
+  const delta =
+    previousStatus === "pending-review" ? score : score - previousScore;
+  if (delta !== 0) {
+    await Quiz.updateOne({ _id: quiz._id }, { $inc: { scoreSum: delta } });
+  }
+
+  return finalised;
+};
+
+const sameResults = (a, b) =>
+  a.length === b.length &&
+  a.every(
+    (result, index) =>
+      result.questionId.toString() === b[index].questionId.toString() &&
+      result.status === b[index].status &&
+      result.pointsAwarded === b[index].pointsAwarded
+  );
+
+/**
+ * Grade a finished attempt again against the quiz's current version, pin
+ * it to that version and append an audit entry with the old and new
+ * score. Essays the creator already graded keep their grade. Resolves to
+ * `{ attempt, changed }`, or null when the attempt changed concurrently.
+ */
+const regradeAttempt = async (
+  attempt,
+  quiz,
+  { by = null, jobId = null } = {}
+) => {
+  const graded = gradeAnswers(quiz, attempt.answers, attempt.questionOrder);
+  const results = graded.results.map((result) => {
+    const previous = attempt.results.find(
+      (r) => r.questionId.toString() === result.questionId.toString()
+    );
+    return result.status === "pending" && previous && previous.gradedAt
+      ? previous.toObject()
+      : result;
+  });
+
+  const { pending, score, maxScore, percentage, sectionScores } =
+    summarizeResults(quiz, results);
+  const newScore = pending ? null : score;
+  const changed =
+    newScore !== attempt.score ||
+    maxScore !== attempt.maxScore ||
+    !sameResults(results, attempt.results);
+
+  const updated = await Attempt.findOneAndUpdate(
+    {
+      _id: attempt._id,
+      status: attempt.status,
+      score: attempt.score,
+      // Attempts from before versioning have no quizVersion stored
+      quizVersion: { $in: [attempt.quizVersion, null] },
+    },
+    {
+      $set: changed
+        ? {
+            status: pending ? "pending-review" : "submitted",
+            score: newScore,
+            maxScore,
+            percentage: pending ? null : percentage,
+            sectionScores,
+            results,
+            quizVersion: quiz.version,
+          }
+        : { quizVersion: quiz.version },
+      $push: {
+        regrades: {
+          at: new Date(),
+          by,
+          jobId,
+          fromVersion: attempt.quizVersion,
+          toVersion: quiz.version,
+          oldScore: attempt.score,
+          newScore,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  return { attempt: updated, changed };
+};
+
+/**
+ * Recount a quiz's attemptCount and scoreSum from its finished attempts.
+ * Attempts pending review count as attempted but add nothing to the sum.
+ */
+const recomputeQuizTotals = async (quizId) => {
+  const [totals] = await Attempt.aggregate([
+    { $match: { quizId, status: { $ne: "in-progress" } } },
+    {
+      $group: {
+        _id: null,
+        attemptCount: { $sum: 1 },
+        scoreSum: { $sum: { $ifNull: ["$score", 0] } },
+      },
+    },
+  ]);
+
+  const { attemptCount = 0, scoreSum = 0 } = totals || {};
+  await Quiz.updateOne({ _id: quizId }, { $set: { attemptCount, scoreSum } });
+  return { attemptCount, scoreSum };
+};
+
+/**
+ * Regrade every finished attempt of a quiz against its current version,
+ * then recompute the quiz totals. In-progress attempts keep their version
+ * until submitted. `onProgress` is called with the running summary every
+ * PROGRESS_INTERVAL attempts.
+ */
+const regradeAttempts = async (quiz, { by, jobId, onProgress } = {}) => {
+  const filter = { quizId: quiz._id, status: { $ne: "in-progress" } };
+  const summary = {
+    total: await Attempt.countDocuments(filter),
+    processed: 0,
+    regraded: 0,
+    unchanged: 0,
+    skipped: 0,
+  };
+
+  for await (const attempt of Attempt.find(filter).cursor()) {
+    const outcome = await regradeAttempt(attempt, quiz, { by, jobId });
+    summary.processed++;
+    if (!outcome) summary.skipped++;
+    else if (outcome.changed) summary.regraded++;
+    else summary.unchanged++;
+
+    if (onProgress && summary.processed % PROGRESS_INTERVAL === 0) {
+      await onProgress(summary);
+    }
+  }
+
+  summary.totals = await recomputeQuizTotals(quiz._id);
+  return summary;
+};
+
+module.exports = {
+  gradeQuestion,
+  gradeAnswers,
+  summarizeResults,
+  submitAttempt,
+  gradeEssay,
+  regradeAttempt,
+  regradeAttempts,
+  recomputeQuizTotals,
+};
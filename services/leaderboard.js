@@ -0,0 +1,133 @@
+const Attempt = require("../models/Attempt");
+
+const LEADERBOARD_POLICIES = ["best", "first"];
+
+const timeTakenExpression = {
+  $subtract: [{ $ifNull: ["$submittedAt", "$endTime"] }, "$startTime"],
+};
+
+// One entry per user: their best (or first) submitted attempt
+const entryStages = (quizId, policy) => [
+  { $match: { quizId, status: "submitted" } },
+  { $addFields: { timeTaken: timeTakenExpression } },
+  {
+    $sort:
+      policy === "first"
+        ? { userId: 1, startTime: 1 }
+        : { userId: 1, score: -1, timeTaken: 1 },
+  },
+  {
+    $group: {
+      _id: "$userId",
+      attemptId: { $first: "$_id" },
+      userName: { $first: "$userName" },
+      score: { $first: "$score" },
+      percentage: { $first: "$percentage" },
+      timeTaken: { $first: "$timeTaken" },
+    },
+  },
+];
+
+// Higher score first, faster time breaks ties
+const isBetterThan = ({ score, timeTaken }) => ({
+  $or: [
+    { $gt: ["$score", score] },
+    { $and: [{ $eq: ["$score", score] }, { $lt: ["$timeTaken", timeTaken] }] },
+  ],
+});
+
+const isWorseThan = ({ score, timeTaken }) => ({
+  $or: [
+    { $lt: ["$score", score] },
+    { $and: [{ $eq: ["$score", score] }, { $gt: ["$timeTaken", timeTaken] }] },
+  ],
+});
+
+/**
+ * Count the other users' leaderboard entries ranked above and below a
+ * score and time taken.
+ */
+const countAround = async (quizId, policy, position, excludeUserId) => {
+  const [counts] = await Attempt.aggregate([
+    ...entryStages(quizId, policy),
+    ...(excludeUserId ? [{ $match: { _id: { $ne: excludeUserId } } }] : []),
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        better: { $sum: { $cond: [isBetterThan(position), 1, 0] } },
+        worse: { $sum: { $cond: [isWorseThan(position), 1, 0] } },
+      },
+    },
+  ]);
+  return counts || { total: 0, better: 0, worse: 0 };
+};
+
+/**
+ * A page of the quiz leaderboard. Users with the same score and time share
+ * a rank. The page is at least 1 and the page size at least 1.
+ */
+const getLeaderboard = async (quiz, { policy, page, pageSize }) => {
+  page = Math.max(page, 1);
+  pageSize = Math.max(pageSize, 1);
+  const [result] = await Attempt.aggregate([
+    ...entryStages(quiz._id, policy),
+    { $sort: { score: -1, timeTaken: 1, _id: 1 } },
+    {
+      $facet: {
+        entries: [{ $skip: (page - 1) * pageSize }, { $limit: pageSize }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const total = result.total.length ? result.total[0].count : 0;
+  const entries = [];
+  for (const [index, entry] of result.entries.entries()) {
+    const previous = entries[index - 1];
+    let rank;
+    if (
+      previous &&
+      previous.score === entry.score &&
+      previous.timeTaken === entry.timeTaken
+    ) {
+      rank = previous.rank;
+    } else if (index > 0) {
+      rank = (page - 1) * pageSize + index + 1;
+    } else {
+      const { better } = await countAround(quiz._id, policy, entry);
+      rank = better + 1;
+    }
+    entries.push({ ...entry, rank });
+  }
+
+  return { entries, total };
+};
+
+/**
+ * Rank and percentile of one submitted attempt against every other
+ * user's leaderboard entry. The percentile is the share of other users
+ * the attempt beats.
+ */
+const getAttemptRanking = async (quiz, attempt, policy = "best") => {
+  const position = {
+    score: attempt.score,
+    timeTaken:
+      (attempt.submittedAt || attempt.endTime).getTime() -
+      attempt.startTime.getTime(),
+  };
+  const { total, better, worse } = await countAround(
+    quiz._id,
+    policy,
+    position,
+    attempt.userId
+  );
+
+  return {
+    rank: better + 1,
+    participants: total + 1,
+    percentile: total > 0 ? Math.round((worse / total) * 10000) / 100 : 100,
+  };
+};
+
+module.exports = { getLeaderboard, getAttemptRanking, LEADERBOARD_POLICIES };
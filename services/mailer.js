@@ -0,0 +1,66 @@
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const MAIL_FROM = process.env.MAIL_FROM || "SusunSoal <no-reply@susunsoal.app>";
+
+/**
+ * Each transport takes a message `{ from, to, subject, text, html }`.
+ * MAIL_TRANSPORT picks one; console is the default outside production.
+ */
+const TRANSPORTS = {
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+  // Writes every message to MAIL_DIR as JSON, handy for inspecting links
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), "mail");
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.writeFile(
+      path.join(dir, name),
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+  },
+  smtp: (() => {
+    let transporter = null;
+    return async (message) => {
+      if (!transporter)
+        transporter = nodemailer.createTransport(process.env.SMTP_URL);
+      await transporter.sendMail(message);
+    };
+  })(),
+};
+
+/**
+ * Pick the transport when the server starts, so a misconfigured deploy
+ * fails right away. Production must choose one explicitly: falling back to
+ * console would print working sign-in and reset links to the logs.
+ */
+const resolveTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+  if (!name) {
+    throw new Error(
+      "MAIL_TRANSPORT must be set in production (console, file or smtp)"
+    );
+  }
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (name === "smtp" && !process.env.SMTP_URL) {
+    throw new Error("SMTP_URL must be set for the smtp mail transport");
+  }
+  return TRANSPORTS[name];
+};
+
+const transport = resolveTransport();
+
+const sendMail = async ({ to, subject, text, html }) => {
+  await transport({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail };
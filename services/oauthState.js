@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const STATE_COOKIE = "oauth_state";
+const STATE_TTL_SECONDS = 10 * 60;
+
+// Frontend paths a sign-in may return to, by prefix
+const RETURN_PATH_PREFIXES = (process.env.RETURN_PATH_PREFIXES || "/")
+  .split(",")
+  .map((prefix) => prefix.trim())
+  .filter((prefix) => prefix.startsWith("/"));
+
+/**
+ * Only relative paths under a whitelisted prefix are accepted; anything
+ * else, including protocol-relative "//host" URLs, falls back to "/".
+ */
+const sanitizeReturnPath = (path) => {
+  if (
+    typeof path !== "string" ||
+    !path.startsWith("/") ||
+    path.startsWith("//") ||
+    /[\\\s]/.test(path)
+  ) {
+    return "/";
+  }
+  const allowed = RETURN_PATH_PREFIXES.some(
+    (prefix) =>
+      prefix === "/" ||
+      path === prefix ||
+      path.startsWith(prefix.endsWith("/") ? prefix : `${prefix}/`) ||
+      path.startsWith(`${prefix}?`)
+  );
+  return allowed ? path : "/";
+};
+
+/**
+ * Sign a state for the Google redirect. The nonce also goes into a cookie
+ * on this browser, so a callback started elsewhere (login CSRF) fails.
+ */
+const createOAuthState = (returnTo) => {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const state = jwt.sign(
+    { nonce, returnTo: sanitizeReturnPath(returnTo) },
+    process.env.JWT_SECRET,
+    { expiresIn: STATE_TTL_SECONDS, audience: "oauth-state" }
+  );
+  return { state, nonce };
+};
+
+// The return path of a valid state whose nonce matches the cookie, or null
+const verifyOAuthState = (state, nonce) => {
+  if (typeof state !== "string" || !nonce) return null;
+  try {
+    const payload = jwt.verify(state, process.env.JWT_SECRET, {
+      audience: "oauth-state",
+    });
+    const expected = Buffer.from(String(payload.nonce));
+    const actual = Buffer.from(String(nonce));
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+    return sanitizeReturnPath(payload.returnTo);
+  } catch (err) {
+    return null;
+  }
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "lax", // Sent on the top-level redirect back from Google
+  secure: (process.env.BACKEND_URL || "").startsWith("https://"),
+  path: "/auth/google",
+});
+
+const setStateCookie = (res, nonce) =>
+  res.cookie(STATE_COOKIE, nonce, {
+    ...stateCookieOptions(),
+    maxAge: STATE_TTL_SECONDS * 1000,
+  });
+
+const readStateCookie = (req) => readCookie(req, STATE_COOKIE);
+
+const clearStateCookie = (res) =>
+  res.clearCookie(STATE_COOKIE, stateCookieOptions());
+
+module.exports = {
+  sanitizeReturnPath,
+  createOAuthState,
+  verifyOAuthState,
+  setStateCookie,
+  readStateCookie,
+  clearStateCookie,
+};
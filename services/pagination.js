@@ -0,0 +1,17 @@
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Page number and size from `page` and `limit` query values. The page is
+ * at least 1 and the size between 1 and MAX_PAGE_SIZE, so the resulting
+ * $skip and $limit are never negative.
+ */
+const parsePagination = ({ page, limit }, defaultLimit) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || defaultLimit, 1),
+    MAX_PAGE_SIZE
+  );
+  return { pageNumber, pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+module.exports = { parsePagination, MAX_PAGE_SIZE };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const KEY_LENGTH = 64;
+
+// Returns an error message, or null when the password is acceptable
+const validatePassword = (password) => {
+  if (typeof password !== "string") return "Password is required";
+  if (password.length < MIN_PASSWORD_LENGTH)
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (password.length > MAX_PASSWORD_LENGTH)
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+  return null;
+};
+
+// Stored as "scrypt:<salt>:<hash>", both hex
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt:${salt}:${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== "string" || !stored) return false;
+  const [scheme, salt, hash] = stored.split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = { validatePassword, hashPassword, verifyPassword };
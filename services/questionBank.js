@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+const BankQuestion = require("../models/BankQuestion");
+
+// Question content copied from a bank entry into a quiz
+const QUESTION_FIELDS = [
+  "type",
+  "questionText",
+  "options",
+  "correctAnswer",
+  "correctAnswers",
+  "pairs",
+  "partialCredit",
+  "explanation",
+  "points",
+  "penalty",
+  "matching",
+];
+
+const toQuestionContent = (entry) => {
+  const source = entry.toObject ? entry.toObject() : entry;
+  const content = {};
+  QUESTION_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) content[field] = source[field];
+  });
+  return content;
+};
+
+/**
+ * Replace every quiz question that references a bank entry
+ * (`{ bankQuestionId }`) with a snapshot of the entry's current version.
+ * The quiz may still override `points` and `penalty`.
+ *
+ * A question already in `existingQuestions` (same `_id`, same entry) keeps
+ * the snapshot and `bankVersion` it was attached with, so later edits to
+ * the bank entry never reach a quiz that uses it.
+ *
+ * Resolves to `{ questions }`, or `{ error }` when an entry does not exist
+ * or belongs to someone else.
+ */
+const resolveBankQuestions = async (
+  questions,
+  userId,
+  existingQuestions = []
+) => {
+  if (!Array.isArray(questions)) return { questions };
+
+  const attached = new Map(
+    existingQuestions
+      .filter((question) => question.bankQuestionId)
+      .map((question) => [question._id.toString(), question])
+  );
+  const attachedSnapshot = (question) => {
+    const existing = question._id && attached.get(String(question._id));
+    if (
+      existing &&
+      existing.bankQuestionId.toString() === String(question.bankQuestionId)
+    )
+      return existing;
+    return null;
+  };
+
+  const ids = questions
+    .filter(
+      (question) =>
+        question && question.bankQuestionId && !attachedSnapshot(question)
+    )
+    .map((question) => String(question.bankQuestionId));
+
+  const unknownId = ids.find((id) => !mongoose.isValidObjectId(id));
+  if (unknownId) return { error: `Question bank entry ${unknownId} not found` };
+
+  const entries = ids.length
+    ? await BankQuestion.find({ _id: { $in: ids }, createdBy: userId })
+    : [];
+  const entriesById = new Map(
+    entries.map((entry) => [entry._id.toString(), entry])
+  );
+
+  const resolved = [];
+  for (const question of questions) {
+    if (!question || !question.bankQuestionId) {
+      resolved.push(question);
+      continue;
+    }
+
+    const existing = attachedSnapshot(question);
+    if (existing) {
+      const content = toQuestionContent(existing);
+      resolved.push({
+        _id: existing._id,
+        ...content,
+        points: question.points ?? content.points,
+        penalty: question.penalty ?? content.penalty,
+        section: question.section,
+        bankQuestionId: existing.bankQuestionId,
+        bankVersion: existing.bankVersion,
+      });
+      continue;
+    }
+
+    const entry = entriesById.get(String(question.bankQuestionId));
+    if (!entry)
+      return {
+        error: `Question bank entry ${question.bankQuestionId} not found`,
+      };
+
+    const content = toQuestionContent(entry);
+    resolved.push({
+      ...(question._id ? { _id: question._id } : {}),
+      ...content,
+      points: question.points ?? content.points,
+      penalty: question.penalty ?? content.penalty,
+      section: question.section,
+      bankQuestionId: entry._id,
+      bankVersion: entry.version,
+    });
+  }
+
+  return { questions: resolved };
+};
+
+module.exports = { resolveBankQuestions, toQuestionContent, QUESTION_FIELDS };
@@ -0,0 +1,412 @@
+const { validateQuestion } = require("./quizValidation");
+const { toQuestionContent } = require("./questionBank");
+
+const IMPORT_FORMATS = ["csv", "json", "gift", "aiken"];
+
+const splitList = (value = "") =>
+  value
+    .split("|")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toNumber = (value) =>
+  value === undefined || value.trim() === "" ? undefined : Number(value);
+
+// Text blocks separated by blank lines, with the line each block starts on
+const splitBlocks = (content) => {
+  const blocks = [];
+  let current = null;
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "") {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { line: index + 1, lines: [] };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+  return blocks;
+};
+
+/* ----------------------------------- CSV ---------------------------------- */
+
+// RFC 4180 records, quoted fields may contain commas, quotes and newlines
+const parseCsvRecords = (content) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+const csvRowToQuestion = (row) => {
+  const type = (row.type || "").trim();
+  const question = {
+    type,
+    questionText: (row.questionText || "").trim(),
+    explanation: row.explanation ? row.explanation.trim() : undefined,
+    points: toNumber(row.points),
+    penalty: toNumber(row.penalty),
+  };
+  const options = splitList(row.options);
+  const answers = splitList(row.correctAnswer);
+
+  if (type === "matching") {
+    question.pairs = options.map((pair) => {
+      const [left, ...right] = pair.split("=");
+      return { left: left.trim(), right: right.join("=").trim() };
+    });
+  } else if (type === "multiple-select" || type === "ordering") {
+    question.options = options;
+    question.correctAnswers = answers;
+  } else if (type === "short-answer") {
+    question.correctAnswer = answers[0];
+    if (answers.length > 1) {
+      question.matching = { acceptedAnswers: answers.slice(1) };
+    }
+  } else {
+    question.options = options;
+    question.correctAnswer = (row.correctAnswer || "").trim();
+  }
+
+  return question;
+};
+
+/**
+ * CSV with a header row. Columns: type, questionText, options,
+ * correctAnswer, explanation, points, penalty. Lists (options, several
+ * correct answers, short-answer alternatives) are separated by "|", and
+ * matching pairs are written as "left=right".
+ */
+const parseCsv = (content) => {
+  const [headerRecord, ...records] = parseCsvRecords(content);
+  if (!headerRecord) return [];
+
+  const columns = headerRecord.map((column) => column.trim());
+  if (!columns.includes("type") || !columns.includes("questionText")) {
+    return [
+      { row: 1, error: 'CSV header must include "type" and "questionText"' },
+    ];
+  }
+
+  return records.map((record, index) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = record[i];
+    });
+    return { row: index + 2, question: csvRowToQuestion(row) };
+  });
+};
+
+/* ---------------------------------- JSON ---------------------------------- */
+
+/**
+ * JSON: either an array of questions or `{ "questions": [...] }`, each
+ * question using the same fields as /quiz/save, including `section`.
+ */
+const parseJson = (content) => {
+  let data = content;
+  if (typeof content === "string") {
+    try {
+      data = JSON.parse(content);
+    } catch (err) {
+      return [{ row: 1, error: "Content is not valid JSON" }];
+    }
+  }
+
+  const questions = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(questions)) {
+    return [
+      { row: 1, error: 'JSON must be an array or have a "questions" array' },
+    ];
+  }
+
+  return questions.map((question, index) =>
+    question && typeof question === "object"
+      ? {
+          row: index + 1,
+          question: {
+            ...toQuestionContent(question),
+            ...(question.section !== undefined && {
+              section: question.section,
+            }),
+          },
+        }
+      : { row: index + 1, error: "Question must be an object" }
+  );
+};
+
+/* ---------------------------------- Aiken --------------------------------- */
+
+/**
+ * Aiken: the question text, one "A. option" line per option and a final
+ * "ANSWER: A" line. Questions are separated by blank lines.
+ */
+const parseAiken = (content) =>
+  splitBlocks(content).map(({ line, lines }) => {
+    const answerLine = lines[lines.length - 1].match(/^ANSWER:\s*([A-Z])\s*$/i);
+    if (!answerLine) return { row: line, error: 'Missing "ANSWER:" line' };
+
+    const textLines = [];
+    const options = [];
+    for (const text of lines.slice(0, -1)) {
+      const option = text.match(/^([A-Z])[.)]\s+(.*)$/);
+      if (option) {
+        options.push({
+          letter: option[1].toUpperCase(),
+          text: option[2].trim(),
+        });
+      } else if (options.length === 0) {
+        textLines.push(text.trim());
+      } else {
+        return { row: line, error: `Unexpected line "${text.trim()}"` };
+      }
+    }
+
+    const correct = options.find(
+      (option) => option.letter === answerLine[1].toUpperCase()
+    );
+    if (!correct) return { row: line, error: "Answer letter has no option" };
+
+    return {
+      row: line,
+      question: {
+        type: "multiple-choice",
+        questionText: textLines.join(" "),
+        options: options.map((option) => option.text),
+        correctAnswer: correct.text,
+      },
+    };
+  });
+
+/* ---------------------------------- GIFT ---------------------------------- */
+
+const unescapeGift = (text) => text.replace(/\\([~=#{}:\\])/g, "$1").trim();
+
+// Index of the first unescaped occurrence of a character
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === char) return i;
+  }
+  return -1;
+};
+
+// Answer tokens, each starting with an unescaped "=" or "~"
+const tokenizeAnswers = (body) => {
+  const tokens = [];
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === "\\") {
+      if (tokens.length)
+        tokens[tokens.length - 1].text += body[i] + body[i + 1];
+      i++;
+    } else if (body[i] === "=" || body[i] === "~") {
+      tokens.push({ mark: body[i], text: "" });
+    } else if (tokens.length) {
+      tokens[tokens.length - 1].text += body[i];
+    }
+  }
+
+  return tokens.map(({ mark, text }) => {
+    // Drop per-answer feedback
+    const feedback = findUnescaped(text, "#");
+    let answer = feedback >= 0 ? text.slice(0, feedback) : text;
+    const weight = answer.trim().match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weight) answer = answer.trim().slice(weight[0].length);
+    return {
+      mark,
+      weight: weight ? Number(weight[1]) : mark === "=" ? 100 : 0,
+      text: answer,
+    };
+  });
+};
+
+const giftAnswerToQuestion = (body, question) => {
+  if (body === "") return { ...question, type: "essay" };
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (trueFalse) {
+    return {
+      ...question,
+      type: "true-false",
+      correctAnswer: trueFalse[1][0].toUpperCase() === "T" ? "true" : "false",
+    };
+  }
+
+  if (body.startsWith("#")) {
+    const value = unescapeGift(body.slice(1).split(/[=~#]/)[0]);
+    const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    const [answer, tolerance = "0"] = range
+      ? [
+          String((Number(range[1]) + Number(range[2])) / 2),
+          String((Number(range[2]) - Number(range[1])) / 2),
+        ]
+      : value.split(":");
+    return {
+      ...question,
+      type: "short-answer",
+      correctAnswer: answer.trim(),
+      matching: { numeric: true, tolerance: Number(tolerance) },
+    };
+  }
+
+  const tokens = tokenizeAnswers(body);
+  if (tokens.length === 0) throw new Error("Answer block has no answers");
+
+  if (tokens.every((token) => token.text.includes("->"))) {
+    return {
+      ...question,
+      type: "matching",
+      pairs: tokens.map((token) => {
+        const [left, right] = token.text.split("->");
+        return { left: unescapeGift(left), right: unescapeGift(right) };
+      }),
+    };
+  }
+
+  const answers = tokens.map((token) => unescapeGift(token.text));
+  if (tokens.every((token) => token.mark === "=")) {
+    return {
+      ...question,
+      type: "short-answer",
+      correctAnswer: answers[0],
+      // Moodle short answers ignore case by default
+      matching: { caseInsensitive: true, acceptedAnswers: answers.slice(1) },
+    };
+  }
+
+  const weighted = tokens.filter((token) => token.weight > 0);
+  if (tokens.every((token) => token.mark === "~") && weighted.length > 0) {
+    return {
+      ...question,
+      type: "multiple-select",
+      options: answers,
+      correctAnswers: weighted.map((token) => unescapeGift(token.text)),
+      partialCredit: true,
+    };
+  }
+
+  const correct = tokens.find((token) => token.mark === "=");
+  if (!correct) throw new Error("Answer block has no correct answer");
+  return {
+    ...question,
+    type: "multiple-choice",
+    options: answers,
+    correctAnswer: unescapeGift(correct.text),
+  };
+};
+
+const parseGiftBlock = (text) => {
+  let rest = text.trim();
+
+  const title = rest.match(/^::(.*?)::/s);
+  if (title) rest = rest.slice(title[0].length).trim();
+  rest = rest.replace(/^\[(html|moodle|plain|markdown)\]/, "");
+
+  const open = findUnescaped(rest, "{");
+  const close = open >= 0 ? findUnescaped(rest, "}", open) : -1;
+  if (open < 0 || close < 0) throw new Error("Missing answer block {...}");
+
+  const before = rest.slice(0, open).trim();
+  const after = rest.slice(close + 1).trim();
+  let body = rest.slice(open + 1, close).trim();
+
+  // General feedback becomes the explanation
+  let explanation;
+  const general = body.indexOf("####");
+  if (general >= 0) {
+    explanation = unescapeGift(body.slice(general + 4));
+    body = body.slice(0, general).trim();
+  }
+
+  const questionText = unescapeGift(
+    after ? `${before} _____ ${after}` : before
+  );
+  return giftAnswerToQuestion(body, { questionText, explanation });
+};
+
+/**
+ * Moodle GIFT. Supported: multiple choice, multiple answers (weighted "~"
+ * answers), true/false, short answer, numerical, matching, missing word
+ * and essay questions. Questions are separated by blank lines and lines
+ * starting with "//" are comments.
+ */
+const parseGift = (content) => {
+  const withoutComments = content
+    .split(/\r?\n/)
+    .map((line) => (line.trim().startsWith("//") ? "" : line))
+    .join("\n");
+
+  return splitBlocks(withoutComments)
+    .filter(({ lines }) => !lines[0].trim().startsWith("$CATEGORY"))
+    .map(({ line, lines }) => {
+      try {
+        return { row: line, question: parseGiftBlock(lines.join("\n")) };
+      } catch (err) {
+        return { row: line, error: err.message };
+      }
+    });
+};
+
+/* --------------------------------- Preview -------------------------------- */
+
+const PARSERS = {
+  csv: parseCsv,
+  json: parseJson,
+  gift: parseGift,
+  aiken: parseAiken,
+};
+
+/**
+ * Parse an import and validate every question with the /quiz/save rules.
+ * `row` is the CSV row, JSON index or the line a text question starts on.
+ */
+const previewImport = (format, content) => {
+  const parsed = PARSERS[format](content);
+
+  const questions = [];
+  const errors = [];
+  parsed.forEach(({ row, question, error }) => {
+    const validationError = error || validateQuestion(question);
+    if (validationError) errors.push({ row, error: validationError });
+    else questions.push(question);
+  });
+
+  return { total: parsed.length, questions, errors };
+};
+
+module.exports = { previewImport, IMPORT_FORMATS };
@@ -0,0 +1,563 @@
+const archiver = require("archiver");
+const { toQuestionContent } = require("./questionBank");
+
+const QUIZ_EXPORT_FORMATS = ["json", "gift", "qti", "html"];
+
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const letter = (index) => LETTERS[index] || String(index + 1);
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const sortedRights = (question) =>
+  question.pairs.map((pair) => pair.right).sort();
+
+/* ---------------------------------- JSON ---------------------------------- */
+
+/**
+ * The quiz settings and questions without ids or statistics. The
+ * `questions` array can be imported again through /quiz/import.
+ */
+const toJson = (quiz) => ({
+  title: quiz.title,
+  description: quiz.description,
+  category: quiz.category,
+  timeLimit: quiz.timeLimit,
+  maxAttemptsPerUser: quiz.maxAttemptsPerUser,
+  shuffleQuestions: quiz.shuffleQuestions,
+  shuffleOptions: quiz.shuffleOptions,
+  questionsPerAttempt: quiz.questionsPerAttempt,
+  sections: quiz.sections.map(({ title, duration }) => ({ title, duration })),
+  questions: quiz.questions.map((question) => {
+    const content = toQuestionContent(question);
+    if (question.section != null) content.section = question.section;
+    return content;
+  }),
+});
+
+/* ---------------------------------- GIFT ---------------------------------- */
+
+const escapeGift = (value) =>
+  String(value ?? "").replace(/([~=#{}:\\])/g, "\\$1");
+
+// GIFT weights are percentages; Moodle rounds to its own list on import
+const weight = (value) => `%${Number(value.toFixed(5))}%`;
+
+const giftAnswers = (question) => {
+  switch (question.type) {
+    case "multiple-choice":
+      return question.options.map((option) =>
+        option === question.correctAnswer
+          ? `=${escapeGift(option)}`
+          : `~${escapeGift(option)}`
+      );
+    case "true-false":
+      return [question.correctAnswer === "true" ? "T" : "F"];
+    case "multiple-select": {
+      const correct = question.correctAnswers;
+      const wrong = question.options.length - correct.length;
+      return question.options.map((option) =>
+        correct.includes(option)
+          ? `~${weight(100 / correct.length)}${escapeGift(option)}`
+          : `~${weight(-100 / (wrong || 1))}${escapeGift(option)}`
+      );
+    }
+    case "short-answer": {
+      const {
+        numeric,
+        tolerance,
+        acceptedAnswers = [],
+      } = question.matching || {};
+      if (numeric) return [`#${question.correctAnswer}:${tolerance || 0}`];
+      return [question.correctAnswer, ...acceptedAnswers].map(
+        (answer) => `=${escapeGift(answer)}`
+      );
+    }
+    case "matching":
+      return question.pairs.map(
+        (pair) => `=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`
+      );
+    case "essay":
+      return [];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Moodle GIFT text. Ordering questions have no GIFT equivalent and are
+ * left out with a comment; points and penalties are not part of GIFT.
+ */
+const toGift = (quiz) => {
+  const blocks = [`// ${quiz.title}`];
+
+  quiz.questions.forEach((question, index) => {
+    const answers = giftAnswers(question);
+    if (!answers) {
+      blocks.push(
+        `// Question ${index + 1} (${question.type}) cannot be exported to GIFT`
+      );
+      return;
+    }
+
+    const feedback = question.explanation
+      ? ` ####${escapeGift(question.explanation)}`
+      : "";
+    const body = answers.length
+      ? `{\n${answers.map((answer) => `\t${answer}`).join("\n")}${feedback}\n}`
+      : `{${feedback.trim()}}`;
+    blocks.push(
+      `::Q${index + 1}:: ${escapeGift(question.questionText)} ${body}`
+    );
+  });
+
+  return `${blocks.join("\n\n")}\n`;
+};
+
+/* --------------------------------- QTI 2.1 -------------------------------- */
+
+const QTI_NAMESPACE = 'xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"';
+const TEMPLATE =
+  "http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct";
+
+const choiceIds = (items) =>
+  items.map((item, index) => ({ id: `C${index + 1}`, item }));
+
+const values = (list) =>
+  list.map((value) => `<value>${escapeXml(value)}</value>`).join("");
+
+const simpleChoices = (choices, tag = "simpleChoice", extra = "") =>
+  choices
+    .map(
+      ({ id, item }) =>
+        `<${tag} identifier="${id}"${extra}>${escapeXml(item)}</${tag}>`
+    )
+    .join("\n      ");
+
+const idOf = (choices, item) => choices.find((c) => c.item === item).id;
+
+// Response declaration, interaction and response processing per type
+const qtiInteraction = (question) => {
+  const prompt = `<prompt>${escapeXml(question.questionText)}</prompt>`;
+
+  switch (question.type) {
+    case "multiple-choice":
+    case "true-false":
+    case "multiple-select": {
+      const options =
+        question.type === "true-false" ? ["true", "false"] : question.options;
+      const choices = choiceIds(options);
+      const multiple = question.type === "multiple-select";
+      const correct = multiple
+        ? question.correctAnswers
+        : [question.correctAnswer];
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="${
+          multiple ? "multiple" : "single"
+        }" baseType="identifier"><correctResponse>${values(
+          correct.map((item) => idOf(choices, item))
+        )}</correctResponse></responseDeclaration>`,
+        body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${
+          multiple ? 0 : 1
+        }">
+      ${prompt}
+      ${simpleChoices(choices)}
+    </choiceInteraction>`,
+        processing: `<responseProcessing template="${TEMPLATE}"/>`,
+      };
+    }
+    case "ordering": {
+      const choices = choiceIds(question.options);
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier"><correctResponse>${values(
+          question.correctAnswers.map((item) => idOf(choices, item))
+        )}</correctResponse></responseDeclaration>`,
+        body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      ${prompt}
+      ${simpleChoices(choices)}
+    </orderInteraction>`,
+        processing: `<responseProcessing template="${TEMPLATE}"/>`,
+      };
+    }
+    case "matching": {
+      const lefts = question.pairs.map((pair, index) => ({
+        id: `L${index + 1}`,
+        item: pair.left,
+      }));
+      const rights = sortedRights(question).map((item, index) => ({
+        id: `R${index + 1}`,
+        item,
+      }));
+      const correct = question.pairs.map(
+        (pair, index) => `L${index + 1} ${idOf(rights, pair.right)}`
+      );
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair"><correctResponse>${values(
+          correct
+        )}</correctResponse></responseDeclaration>`,
+        body: `<matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${
+          lefts.length
+        }">
+      ${prompt}
+      <simpleMatchSet>
+      ${simpleChoices(lefts, "simpleAssociableChoice", ' matchMax="1"')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+      ${simpleChoices(rights, "simpleAssociableChoice", ' matchMax="0"')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        processing: `<responseProcessing template="${TEMPLATE}"/>`,
+      };
+    }
+    case "short-answer": {
+      const {
+        numeric,
+        tolerance,
+        caseInsensitive,
+        acceptedAnswers = [],
+      } = question.matching || {};
+      const body = `<p>${escapeXml(
+        question.questionText
+      )}</p>\n    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>`;
+
+      if (numeric) {
+        return {
+          declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float"><correctResponse>${values(
+            [question.correctAnswer]
+          )}</correctResponse></responseDeclaration>`,
+          body,
+          // The match_correct template has no tolerance
+          processing: `<responseProcessing><responseCondition><responseIf><equal toleranceMode="absolute" tolerance="${
+            tolerance || 0
+          } ${
+            tolerance || 0
+          }"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal><setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue></responseIf><responseElse><setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue></responseElse></responseCondition></responseProcessing>`,
+        };
+      }
+
+      const entries = [question.correctAnswer, ...acceptedAnswers]
+        .map(
+          (answer) =>
+            `<mapEntry mapKey="${escapeXml(
+              answer
+            )}" mappedValue="1" caseSensitive="${!caseInsensitive}"/>`
+        )
+        .join("");
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"><correctResponse>${values(
+          [question.correctAnswer]
+        )}</correctResponse><mapping defaultValue="0" upperBound="1">${entries}</mapping></responseDeclaration>`,
+        body,
+        processing:
+          '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response"/>',
+      };
+    }
+    case "essay":
+    default:
+      return {
+        declaration:
+          '<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+        body: `<extendedTextInteraction responseIdentifier="RESPONSE">
+      ${prompt}
+    </extendedTextInteraction>`,
+        processing: "",
+      };
+  }
+};
+
+const qtiItem = (question, identifier) => {
+  const { declaration, body, processing } = qtiInteraction(question);
+  const explanation = question.explanation
+    ? `\n    <rubricBlock view="scorer"><p>${escapeXml(
+        question.explanation
+      )}</p></rubricBlock>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem ${QTI_NAMESPACE} identifier="${identifier}" title="${escapeXml(
+    question.questionText.slice(0, 80)
+  )}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>
+  <itemBody>${explanation}
+    ${body}
+  </itemBody>
+  ${processing}
+</assessmentItem>
+`;
+};
+
+const qtiTest = (quiz, identifiers) => {
+  const sections = quiz.sections.length
+    ? quiz.sections.map((section, index) => ({
+        title: section.title,
+        maxTime: section.duration * 60,
+        questions: quiz.questions
+          .map((question, i) => ({ question, id: identifiers[i] }))
+          .filter(({ question }) => question.section === index),
+      }))
+    : [
+        {
+          title: quiz.title,
+          questions: quiz.questions.map((question, i) => ({
+            question,
+            id: identifiers[i],
+          })),
+        },
+      ];
+
+  const sectionXml = sections
+    .map(
+      (section, index) => `    <assessmentSection identifier="S${
+        index + 1
+      }" title="${escapeXml(section.title)}" visible="true">${
+        section.maxTime
+          ? `\n      <timeLimits maxTime="${section.maxTime}"/>`
+          : ""
+      }
+${section.questions
+  .map(
+    ({ question, id }) =>
+      `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"><weight identifier="W" value="${question.points}"/></assessmentItemRef>`
+  )
+  .join("\n")}
+    </assessmentSection>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest ${QTI_NAMESPACE} identifier="quiz-${
+    quiz._id
+  }" title="${escapeXml(quiz.title)}">
+  <testPart identifier="P1" navigationMode="nonlinear" submissionMode="simultaneous">${
+    quiz.timeLimit && !quiz.sections.length
+      ? `\n    <timeLimits maxTime="${quiz.timeLimit * 60}"/>`
+      : ""
+  }
+${sectionXml}
+  </testPart>
+</assessmentTest>
+`;
+};
+
+const qtiManifest = (
+  quiz,
+  identifiers
+) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${
+  quiz._id
+}">
+  <organizations/>
+  <resources>
+    <resource identifier="test" type="imsqti_test_xmlv2p1" href="test.xml">
+      <file href="test.xml"/>
+${identifiers
+  .map((id) => `      <dependency identifierref="${id}"/>`)
+  .join("\n")}
+    </resource>
+${identifiers
+  .map(
+    (
+      id
+    ) => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">
+      <file href="items/${id}.xml"/>
+    </resource>`
+  )
+  .join("\n")}
+  </resources>
+</manifest>
+`;
+
+/**
+ * Stream a QTI 2.1 content package (zip with imsmanifest.xml, an
+ * assessmentTest and one assessmentItem per question) to `res`. Question
+ * points become item weights and sections become assessment sections.
+ */
+const streamQti = async (quiz, res) => {
+  const identifiers = quiz.questions.map((question, index) => `Q${index + 1}`);
+  const archive = archiver("zip");
+  archive.pipe(res);
+
+  archive.append(qtiManifest(quiz, identifiers), { name: "imsmanifest.xml" });
+  archive.append(qtiTest(quiz, identifiers), { name: "test.xml" });
+  quiz.questions.forEach((question, index) => {
+    archive.append(qtiItem(question, identifiers[index]), {
+      name: `items/${identifiers[index]}.xml`,
+    });
+  });
+
+  await archive.finalize();
+};
+
+/* ---------------------------------- HTML ---------------------------------- */
+
+const PRINT_STYLE = `
+  body { font-family: Georgia, serif; max-width: 800px; margin: 2em auto; color: #000; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #444; margin-bottom: 2em; }
+  .question { page-break-inside: avoid; margin-bottom: 1.5em; }
+  .points { float: right; color: #444; font-size: 0.9em; }
+  ol.options { list-style: upper-alpha; }
+  .correct { font-weight: bold; }
+  .correct::after { content: " \\2713"; }
+  .blank { border-bottom: 1px solid #000; height: 1.8em; }
+  .answer, .explanation { margin-top: 0.5em; padding: 0.5em; border-left: 3px solid #888; }
+  table.matching td { padding: 0.25em 1.5em 0.25em 0; vertical-align: top; }
+  @media print { body { margin: 0; } }
+`;
+
+const optionList = (options, isCorrect) =>
+  `<ol class="options">${options
+    .map(
+      (option) =>
+        `<li${isCorrect(option) ? ' class="correct"' : ""}>${escapeXml(
+          option
+        )}</li>`
+    )
+    .join("")}</ol>`;
+
+const blankLines = (count) => '<div class="blank"></div>'.repeat(count);
+
+const htmlQuestionBody = (question, withAnswers) => {
+  switch (question.type) {
+    case "multiple-choice":
+      return optionList(
+        question.options,
+        (option) => withAnswers && option === question.correctAnswer
+      );
+    case "true-false":
+      return optionList(
+        ["True", "False"],
+        (option) =>
+          withAnswers && option.toLowerCase() === question.correctAnswer
+      );
+    case "multiple-select":
+      return `<p><em>Select all that apply.</em></p>${optionList(
+        question.options,
+        (option) => withAnswers && question.correctAnswers.includes(option)
+      )}`;
+    case "ordering":
+      return `<p><em>Number the items in the correct order.</em></p>${optionList(
+        [...question.options].sort(),
+        () => false
+      )}${
+        withAnswers
+          ? `<div class="answer">Correct order: ${question.correctAnswers
+              .map(escapeXml)
+              .join(" → ")}</div>`
+          : ""
+      }`;
+    case "matching": {
+      const rights = sortedRights(question);
+      const rows = question.pairs
+        .map(
+          (pair, index) =>
+            `<tr><td>${index + 1}. ${escapeXml(
+              pair.left
+            )}</td><td>____</td><td>${letter(index)}. ${escapeXml(
+              rights[index]
+            )}</td></tr>`
+        )
+        .join("");
+      const key = question.pairs
+        .map(
+          (pair, index) =>
+            `${index + 1} → ${letter(rights.indexOf(pair.right))}`
+        )
+        .join(", ");
+      return `<table class="matching">${rows}</table>${
+        withAnswers ? `<div class="answer">${key}</div>` : ""
+      }`;
+    }
+    case "short-answer": {
+      const {
+        numeric,
+        tolerance,
+        acceptedAnswers = [],
+      } = question.matching || {};
+      if (!withAnswers) return blankLines(1);
+      const accepted = [question.correctAnswer, ...acceptedAnswers]
+        .map(escapeXml)
+        .join(" / ");
+      return `<div class="answer">${accepted}${
+        numeric && tolerance ? ` (± ${tolerance})` : ""
+      }</div>`;
+    }
+    case "essay":
+      return withAnswers ? "" : blankLines(8);
+    default:
+      return "";
+  }
+};
+
+/**
+ * A self-contained printable exam. With `withAnswers` the correct answers
+ * are marked and explanations are shown, for use as an answer key.
+ */
+const toHtml = (quiz, { withAnswers = false } = {}) => {
+  let number = 0;
+  const renderQuestions = (questions) =>
+    questions
+      .map((question) => {
+        number++;
+        const points = `${question.points} ${
+          question.points === 1 ? "point" : "points"
+        }`;
+        const explanation =
+          withAnswers && question.explanation
+            ? `<div class="explanation"><strong>Explanation:</strong> ${escapeXml(
+                question.explanation
+              )}</div>`
+            : "";
+        return `<div class="question"><span class="points">${points}</span><p><strong>${number}.</strong> ${escapeXml(
+          question.questionText
+        )}</p>${htmlQuestionBody(question, withAnswers)}${explanation}</div>`;
+      })
+      .join("\n");
+
+  const body = quiz.sections.length
+    ? quiz.sections
+        .map(
+          (section, index) =>
+            `<h2>${escapeXml(section.title)} (${
+              section.duration
+            } min)</h2>\n${renderQuestions(
+              quiz.questions.filter((question) => question.section === index)
+            )}`
+        )
+        .join("\n")
+    : renderQuestions(quiz.questions);
+
+  const title = `${escapeXml(quiz.title)}${withAnswers ? " (Answer Key)" : ""}`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${PRINT_STYLE}</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">${
+    quiz.description ? `${escapeXml(quiz.description)}<br>` : ""
+  }Time limit: ${quiz.timeLimit} minutes · Total: ${quiz.totalScore} points${
+    withAnswers ? "" : "<br><br>Name: ______________________________"
+  }</div>
+${body}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  toJson,
+  toGift,
+  streamQti,
+  toHtml,
+  QUIZ_EXPORT_FORMATS,
+};
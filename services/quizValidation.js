@@ -0,0 +1,233 @@
+const {
+  parseNumber,
+  isSafePattern,
+  MAX_PATTERN_LENGTH,
+} = require("./answerMatching");
+const { LEADERBOARD_POLICIES } = require("./leaderboard");
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const validateMatching = ({ questionText, correctAnswer, matching }) => {
+  const { acceptedAnswers = [], numeric, tolerance, pattern } = matching;
+
+  if (!Array.isArray(acceptedAnswers)) {
+    return `Question "${questionText}" accepted answers must be a list`;
+  }
+
+  if (numeric) {
+    if (
+      [correctAnswer, ...acceptedAnswers].some((answer) =>
+        Number.isNaN(parseNumber(answer))
+      )
+    ) {
+      return `Question "${questionText}" numeric answers must be numbers`;
+    }
+    if (tolerance !== undefined && (!isNumber(tolerance) || tolerance < 0)) {
+      return `Question "${questionText}" tolerance must be a number of at least 0`;
+    }
+  }
+
+  if (pattern) {
+    try {
+      new RegExp(pattern, "u");
+    } catch (err) {
+      return `Question "${questionText}" has an invalid pattern`;
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      return `Question "${questionText}" pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    // Nested or repeated quantifiers can backtrack for minutes
+    if (!isSafePattern(pattern)) {
+      return `Question "${questionText}" pattern is too complex; avoid repeating groups that contain quantifiers or alternatives, backreferences and more than 3 unbounded quantifiers`;
+    }
+  }
+
+  return null;
+};
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim() !== "";
+
+const hasDistinctOptions = (options, min) =>
+  Array.isArray(options) &&
+  options.length >= min &&
+  options.every(isNonEmptyString) &&
+  new Set(options).size === options.length;
+
+const isPermutationOf = (values, options) =>
+  Array.isArray(values) &&
+  values.length === options.length &&
+  new Set(values).size === values.length &&
+  values.every((value) => options.includes(value));
+
+// Type specific rules, keyed by question type
+const TYPE_VALIDATORS = {
+  "multiple-choice": ({ questionText, options, correctAnswer }) => {
+    if (!hasDistinctOptions(options, 2))
+      return `Question "${questionText}" must have at least 2 distinct options`;
+    if (!options.includes(correctAnswer))
+      return `Question "${questionText}" correct answer must be one of the options`;
+    return null;
+  },
+  "short-answer": (question) => {
+    if (!isNonEmptyString(question.correctAnswer))
+      return `Question "${question.questionText}" must have a correct answer`;
+    return question.matching ? validateMatching(question) : null;
+  },
+  "true-false": ({ questionText, correctAnswer }) => {
+    if (!["true", "false"].includes(correctAnswer))
+      return `Question "${questionText}" correct answer must be "true" or "false"`;
+    return null;
+  },
+  "multiple-select": ({ questionText, options, correctAnswers }) => {
+    if (!hasDistinctOptions(options, 2))
+      return `Question "${questionText}" must have at least 2 distinct options`;
+    if (
+      !Array.isArray(correctAnswers) ||
+      correctAnswers.length === 0 ||
+      new Set(correctAnswers).size !== correctAnswers.length ||
+      !correctAnswers.every((answer) => options.includes(answer))
+    )
+      return `Question "${questionText}" correct answers must be a non-empty subset of the options`;
+    return null;
+  },
+  ordering: ({ questionText, options, correctAnswers }) => {
+    if (!hasDistinctOptions(options, 2))
+      return `Question "${questionText}" must have at least 2 distinct items`;
+    if (!isPermutationOf(correctAnswers, options))
+      return `Question "${questionText}" correct order must contain every item exactly once`;
+    return null;
+  },
+  matching: ({ questionText, pairs }) => {
+    if (
+      !Array.isArray(pairs) ||
+      pairs.length < 2 ||
+      !pairs.every(
+        (pair) =>
+          pair && isNonEmptyString(pair.left) && isNonEmptyString(pair.right)
+      )
+    )
+      return `Question "${questionText}" must have at least 2 complete pairs`;
+    if (new Set(pairs.map((pair) => pair.left)).size !== pairs.length)
+      return `Question "${questionText}" pairs must have distinct left items`;
+    return null;
+  },
+  essay: () => null, // Graded manually by the creator
+};
+
+const QUESTION_TYPES = Object.keys(TYPE_VALIDATORS);
+
+/**
+ * Validate a single question from a /quiz/save or /quiz/edit body.
+ * Returns an error message, or null when the question is valid.
+ */
+const validateQuestion = (question) => {
+  if (!question || !isNonEmptyString(question.questionText)) {
+    return "Every question must have text";
+  }
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    return `Question "${question.questionText}" has an unknown type`;
+  }
+
+  const typeError = TYPE_VALIDATORS[question.type](question);
+  if (typeError) return typeError;
+
+  if (question.points !== undefined) {
+    if (!isNumber(question.points) || question.points <= 0) {
+      return `Question "${question.questionText}" must be worth more than 0 points`;
+    }
+  }
+
+  if (
+    question.penalty !== undefined &&
+    (!isNumber(question.penalty) || question.penalty < 0)
+  ) {
+    return `Question "${question.questionText}" penalty must be a number of at least 0`;
+  }
+
+  return null;
+};
+
+const validateSections = (sections, questions, questionsPerAttempt) => {
+  if (questionsPerAttempt != null)
+    return "Questions cannot be drawn randomly in a quiz with sections";
+
+  for (const [index, section] of sections.entries()) {
+    if (!section || !isNonEmptyString(section.title))
+      return `Section ${index + 1} must have a title`;
+    if (!isNumber(section.duration) || section.duration < 1)
+      return `Section "${section.title}" must last at least 1 minute`;
+    if (!questions.some((question) => question.section === index))
+      return `Section "${section.title}" must have at least one question`;
+  }
+
+  for (const question of questions) {
+    if (
+      !Number.isInteger(question.section) ||
+      question.section < 0 ||
+      question.section >= sections.length
+    )
+      return `Question "${question.questionText}" must belong to a section`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate the body of /quiz/save and /quiz/edit.
+ * Returns an error message, or null when the quiz is valid.
+ */
+const validateQuiz = ({
+  title,
+  timeLimit,
+  dateOpens,
+  dateCloses,
+  questions,
+  questionsPerAttempt,
+  sections,
+  leaderboardPolicy,
+}) => {
+  const sectioned = Array.isArray(sections) && sections.length > 0;
+
+  if (!isNonEmptyString(title)) return "Title is required";
+  // A sectioned quiz takes the sum of its section durations
+  if (!sectioned && (!timeLimit || timeLimit < 1))
+    return "Time limit must be at least 1 minute";
+  if (!dateOpens || !dateCloses)
+    return "Quiz must have an opening and closing date";
+  if (new Date(dateOpens) >= new Date(dateCloses))
+    return "Closing date must be after opening date";
+  if (!questions || questions.length === 0)
+    return "Quiz must have at least one question";
+
+  for (const question of questions) {
+    const error = validateQuestion(question);
+    if (error) return error;
+  }
+
+  if (
+    questionsPerAttempt != null &&
+    (!Number.isInteger(questionsPerAttempt) ||
+      questionsPerAttempt < 1 ||
+      questionsPerAttempt > questions.length)
+  )
+    return "Questions per attempt must be between 1 and the number of questions";
+
+  if (
+    leaderboardPolicy !== undefined &&
+    !LEADERBOARD_POLICIES.includes(leaderboardPolicy)
+  )
+    return `Leaderboard policy must be one of ${LEADERBOARD_POLICIES.join(
+      ", "
+    )}`;
+
+  if (sectioned) {
+    const error = validateSections(sections, questions, questionsPerAttempt);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+module.exports = { validateQuiz, validateQuestion, QUESTION_TYPES };
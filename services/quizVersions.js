@@ -0,0 +1,160 @@
+const Quiz = require("../models/Quiz");
+const QuizVersion = require("../models/QuizVersion");
+const { QUESTION_FIELDS } = require("./questionBank");
+
+// Settings compared between versions, besides the questions
+const SETTING_FIELDS = [
+  "title",
+  "description",
+  "timeLimit",
+  "questionsPerAttempt",
+  "sections",
+];
+const DIFF_QUESTION_FIELDS = [...QUESTION_FIELDS, "section"];
+// Fields an errata may change; anything else can change grading
+const ERRATA_FIELDS = ["questionText", "explanation"];
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+const comparable = (value) =>
+  JSON.stringify(value ?? null, (key, v) => (key === "_id" ? undefined : v));
+
+/**
+ * Store the snapshot of the quiz's current version. Existing snapshots
+ * are left alone, so this also backfills quizzes created before
+ * versioning when they are first edited.
+ */
+const saveVersion = async (
+  quiz,
+  { kind = "edit", note = "", editedBy } = {}
+) => {
+  const content = toPlain(quiz);
+  await QuizVersion.updateOne(
+    { quizId: quiz._id, version: quiz.version },
+    {
+      $setOnInsert: {
+        kind,
+        note,
+        editedBy,
+        title: content.title,
+        description: content.description,
+        timeLimit: content.timeLimit,
+        questionsPerAttempt: content.questionsPerAttempt,
+        sections: content.sections,
+        questions: content.questions,
+        totalScore: content.totalScore,
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * The snapshot of one version. The current version falls back to the quiz
+ * itself when it has never been edited. Resolves to null if unknown.
+ */
+const getVersion = async (quiz, version) => {
+  const snapshot = await QuizVersion.findOne({ quizId: quiz._id, version });
+  if (snapshot) return snapshot;
+  if (version !== quiz.version) return null;
+  return new QuizVersion({
+    ...toPlain(quiz),
+    _id: undefined,
+    quizId: quiz._id,
+  });
+};
+
+/**
+ * The quiz an attempt is graded against: the version it was started on,
+ * including errata applied since, but none of the later edits.
+ */
+const getAttemptQuiz = async (quiz, attempt) => {
+  if (attempt.quizVersion == null || attempt.quizVersion >= quiz.version) {
+    return quiz;
+  }
+
+  const nextEdit = await QuizVersion.findOne({
+    quizId: quiz._id,
+    version: { $gt: attempt.quizVersion },
+    kind: "edit",
+  }).sort({ version: 1 });
+  if (!nextEdit) return quiz;
+
+  const snapshot = await QuizVersion.findOne({
+    quizId: quiz._id,
+    version: { $lt: nextEdit.version },
+  }).sort({ version: -1 });
+  if (!snapshot) return quiz;
+
+  const { title, description, timeLimit, questionsPerAttempt } = snapshot;
+  return Quiz.hydrate({
+    ...toPlain(quiz),
+    version: snapshot.version,
+    title,
+    description,
+    timeLimit,
+    questionsPerAttempt,
+    sections: toPlain(snapshot).sections,
+    questions: toPlain(snapshot).questions,
+    totalScore: snapshot.totalScore,
+  });
+};
+
+const changedFields = (fields, from, to) =>
+  fields
+    .filter((field) => comparable(from[field]) !== comparable(to[field]))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * Compare two versions. Questions are matched by id, so a question that
+ * was edited in place shows up as changed rather than removed and added.
+ * `gradingChanged` tells whether attempts may score differently.
+ */
+const diffVersions = (fromVersion, toVersion) => {
+  const from = toPlain(fromVersion);
+  const to = toPlain(toVersion);
+  const byId = (questions) =>
+    new Map(questions.map((question) => [question._id.toString(), question]));
+  const fromQuestions = byId(from.questions);
+  const toQuestions = byId(to.questions);
+
+  const added = to.questions.filter(
+    (question) => !fromQuestions.has(question._id.toString())
+  );
+  const removed = from.questions.filter(
+    (question) => !toQuestions.has(question._id.toString())
+  );
+  const changed = to.questions
+    .filter((question) => fromQuestions.has(question._id.toString()))
+    .map((question) => ({
+      questionId: question._id,
+      questionText: question.questionText,
+      changes: changedFields(
+        DIFF_QUESTION_FIELDS,
+        fromQuestions.get(question._id.toString()),
+        question
+      ),
+    }))
+    .filter((question) => question.changes.length > 0);
+
+  return {
+    from: from.version,
+    to: to.version,
+    settings: changedFields(SETTING_FIELDS, from, to),
+    questions: { added, removed, changed },
+    gradingChanged:
+      added.length > 0 ||
+      removed.length > 0 ||
+      changed.some((question) =>
+        question.changes.some(({ field }) => !ERRATA_FIELDS.includes(field))
+      ),
+  };
+};
+
+module.exports = {
+  saveVersion,
+  getVersion,
+  getAttemptQuiz,
+  diffVersions,
+  ERRATA_FIELDS,
+};
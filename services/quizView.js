@@ -0,0 +1,82 @@
+const { getAttemptQuestions, shuffleOrderingItems } = require("./shuffle");
+
+// Fields a quiz taker must never see while an attempt is running
+const HIDDEN_QUESTION_FIELDS = [
+  "correctAnswer",
+  "correctAnswers",
+  "pairs",
+  "explanation",
+  "matching",
+];
+
+const toTakerQuestion = (question) => {
+  const view = { ...question };
+  if (question.type === "matching") {
+    // Left items keep their order; answers are given as right items in that order
+    view.prompts = question.pairs.map((pair) => pair.left);
+    view.options =
+      question.options && question.options.length > 0
+        ? question.options
+        : question.pairs.map((pair) => pair.right).sort();
+  }
+  HIDDEN_QUESTION_FIELDS.forEach((field) => delete view[field]);
+  return view;
+};
+
+/**
+ * Apply an attempt's drawn questions and shuffled options to a quiz, so
+ * resuming and reviewing show what the taker saw.
+ */
+const applyAttemptLayout = (quiz, attempt) => {
+  const view = quiz.toObject ? quiz.toObject() : { ...quiz };
+  if (!attempt) return view;
+
+  const optionOrder = attempt.optionOrder || [];
+  view.questions = getAttemptQuestions(view, attempt.questionOrder).map(
+    (question) => {
+      const order = optionOrder.find(
+        (entry) => entry.questionId.toString() === question._id.toString()
+      );
+      return order ? { ...question, options: order.options } : question;
+    }
+  );
+  return view;
+};
+
+/**
+ * Build the answer-safe version of a quiz that is served to takers.
+ * Answers and explanations are only returned through the attempt result.
+ * In a sectioned quiz only the current section's questions are served.
+ */
+const toTakerView = (quiz, attempt) => {
+  const view = applyAttemptLayout(quiz, attempt);
+  let questions = view.questions || [];
+  if (attempt && attempt.currentSection != null) {
+    questions = questions.filter(
+      (question) => question.section === attempt.currentSection
+    );
+  }
+  // Ordering items without a shuffled order (views without an attempt, or
+  // attempts from before ordering was always shuffled) never show the
+  // authored order, which may be the answer
+  const shuffled = new Set(
+    ((attempt && attempt.optionOrder) || []).map((entry) =>
+      entry.questionId.toString()
+    )
+  );
+  view.questions = questions.map((question) =>
+    toTakerQuestion(
+      question.type === "ordering" && !shuffled.has(question._id.toString())
+        ? { ...question, options: shuffleOrderingItems(question) }
+        : question
+    )
+  );
+  return view;
+};
+
+module.exports = {
+  toTakerView,
+  toTakerQuestion,
+  applyAttemptLayout,
+  HIDDEN_QUESTION_FIELDS,
+};
@@ -0,0 +1,75 @@
+const Attempt = require("../models/Attempt");
+const { submitAttempt } = require("./grading");
+
+// Deadline of a section that starts at `from`, never after the quiz closes
+const getSectionEnd = (quiz, section, from) =>
+  new Date(
+    Math.min(
+      quiz.dateCloses.getTime(),
+      from.getTime() + quiz.sections[section].duration * 60000
+    )
+  );
+
+/**
+ * Attempt fields for a new attempt on a sectioned quiz: the first section
+ * starts now and the attempt's endTime is that section's deadline.
+ * Empty for quizzes without sections.
+ */
+const startSections = (quiz, now) => {
+  if (quiz.sections.length === 0) return {};
+
+  const endTime = getSectionEnd(quiz, 0, now);
+  return {
+    currentSection: 0,
+    endTime,
+    sectionTimes: quiz.sections.map((section, index) =>
+      index === 0
+        ? { section: index, startTime: now, endTime }
+        : { section: index }
+    ),
+  };
+};
+
+/**
+ * Lock the attempt's current section and start the next one, or submit the
+ * attempt after the last section. Used by the "next section" route and the
+ * Agenda section timer.
+ *
+ * Resolves to `{ attempt, submitted }`, or null when the section was already
+ * left (by a racing request or an earlier job). The caller schedules the
+ * timer for the next section.
+ */
+const advanceSection = async (attempt, quiz, fromSection) => {
+  if (
+    attempt.status !== "in-progress" ||
+    attempt.currentSection !== fromSection
+  )
+    return null;
+
+  if (fromSection >= quiz.sections.length - 1) {
+    const result = await submitAttempt(attempt, quiz);
+    return result && { attempt: result.attempt, submitted: true };
+  }
+
+  const now = new Date();
+  const next = fromSection + 1;
+  const endTime = getSectionEnd(quiz, next, now);
+
+  const advanced = await Attempt.findOneAndUpdate(
+    { _id: attempt._id, status: "in-progress", currentSection: fromSection },
+    {
+      $set: {
+        currentSection: next,
+        endTime,
+        [`sectionTimes.${fromSection}.lockedAt`]: now,
+        [`sectionTimes.${next}.startTime`]: now,
+        [`sectionTimes.${next}.endTime`]: endTime,
+      },
+    },
+    { new: true }
+  );
+
+  return advanced && { attempt: advanced, submitted: false };
+};
+
+module.exports = { startSections, advanceSection };
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+
+// Fisher-Yates shuffle, returns a new array
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Options shown to the taker, before shuffling
+const getDisplayOptions = (question) =>
+  question.type === "matching"
+    ? question.pairs.map((pair) => pair.right)
+    : question.options || [];
+
+/**
+ * Ordering items are always shuffled, since their authored order may be
+ * the answer. Reshuffles a few times to avoid serving the correct order.
+ */
+const shuffleOrderingItems = (question) => {
+  const isCorrectOrder = (items) =>
+    items.every((item, index) => item === question.correctAnswers[index]);
+  let items = shuffle(question.options);
+  for (let tries = 0; tries < 5 && isCorrectOrder(items); tries++) {
+    items = shuffle(question.options);
+  }
+  return items;
+};
+
+/**
+ * Draw and order the questions and options for a new attempt, following
+ * the quiz's shuffleQuestions, shuffleOptions and questionsPerAttempt
+ * settings. Ordering items are shuffled regardless. The layout is stored
+ * on the attempt so resuming and reviewing show the same order. Empty when
+ * none of this applies.
+ */
+const buildAttemptLayout = (quiz) => {
+  const layout = { questionOrder: [], optionOrder: [] };
+  const drawing =
+    quiz.questionsPerAttempt != null &&
+    quiz.questionsPerAttempt < quiz.questions.length;
+  const reordering = quiz.shuffleQuestions || quiz.shuffleOptions || drawing;
+  const hasOrdering = quiz.questions.some(
+    (question) => question.type === "ordering"
+  );
+  if (!reordering && !hasOrdering) return layout;
+
+  let questions = quiz.questions;
+  if (drawing) {
+    // Keep the authored order of the drawn questions unless shuffling too
+    const drawn = new Set(
+      shuffle(questions.map((question) => question._id.toString())).slice(
+        0,
+        quiz.questionsPerAttempt
+      )
+    );
+    questions = questions.filter((question) =>
+      drawn.has(question._id.toString())
+    );
+  }
+  if (quiz.shuffleQuestions) questions = shuffle(questions);
+
+  if (reordering) {
+    layout.questionOrder = questions.map((question) => question._id);
+  }
+  layout.optionOrder = questions
+    .filter(
+      (question) =>
+        (quiz.shuffleOptions || question.type === "ordering") &&
+        getDisplayOptions(question).length > 1
+    )
+    .map((question) => ({
+      questionId: question._id,
+      options:
+        question.type === "ordering"
+          ? shuffleOrderingItems(question)
+          : shuffle(getDisplayOptions(question)),
+    }));
+
+  return layout;
+};
+
+/**
+ * Questions of an attempt, in the order the taker saw them.
+ */
+const getAttemptQuestions = (quiz, questionOrder = []) => {
+  if (!questionOrder || questionOrder.length === 0) return quiz.questions;
+  const byId = new Map(
+    quiz.questions.map((question) => [question._id.toString(), question])
+  );
+  return questionOrder
+    .map((questionId) => byId.get(questionId.toString()))
+    .filter(Boolean);
+};
+
+module.exports = {
+  shuffle,
+  buildAttemptLayout,
+  getAttemptQuestions,
+  getDisplayOptions,
+  shuffleOrderingItems,
+};
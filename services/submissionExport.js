@@ -0,0 +1,188 @@
+const ExcelJS = require("exceljs");
+const Attempt = require("../models/Attempt");
+const User = require("../models/User");
+const { getAttemptQuiz } = require("./quizVersions");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const formatAnswer = (answer) =>
+  Array.isArray(answer) ? answer.join("; ") : answer;
+
+/**
+ * Answer columns for every question an exported attempt could have
+ * answered: the current questions first, then questions that only exist
+ * in the older versions attempts are pinned to. Rows look answers up by
+ * question id, so each one lands under its own question after an edit.
+ */
+const exportColumns = async (quiz) => {
+  const columns = quiz.questions.map((question, index) => ({
+    id: question._id.toString(),
+    label: `Q${index + 1}`,
+  }));
+  const seen = new Set(columns.map((column) => column.id));
+
+  const versions = await Attempt.distinct("quizVersion", {
+    quizId: quiz._id,
+    status: { $ne: "in-progress" },
+  });
+  const olderVersions = versions
+    .filter((version) => version != null && version < quiz.version)
+    .sort((a, b) => b - a);
+
+  for (const version of olderVersions) {
+    const versionQuiz = await getAttemptQuiz(quiz, { quizVersion: version });
+    versionQuiz.questions.forEach((question, index) => {
+      const id = question._id.toString();
+      if (seen.has(id)) return;
+      seen.add(id);
+      columns.push({ id, label: `v${version} Q${index + 1}` });
+    });
+  }
+
+  return columns;
+};
+
+const header = (columns) => [
+  "Name",
+  "Email",
+  "Start Time",
+  "End Time",
+  "Duration (seconds)",
+  "Status",
+  "Score",
+  "Max Score",
+  "Percentage",
+  ...columns.flatMap((column) => [
+    `${column.label} Answer`,
+    `${column.label} Result`,
+  ]),
+];
+
+const row = (columns, attempt) => {
+  const endTime = attempt.submittedAt || attempt.endTime;
+  const cells = [
+    attempt.user ? attempt.user.name : attempt.userName,
+    attempt.user ? attempt.user.email : "",
+    attempt.startTime,
+    endTime,
+    Math.round((endTime - attempt.startTime) / 1000),
+    attempt.status,
+    attempt.score,
+    attempt.maxScore,
+    attempt.percentage,
+  ];
+
+  columns.forEach(({ id }) => {
+    const answer = attempt.answers.find((a) => a.questionId.toString() === id);
+    const result = (attempt.results || []).find(
+      (r) => r.questionId.toString() === id
+    );
+    cells.push(
+      answer ? formatAnswer(answer.selectedAnswer) : "",
+      // Questions not drawn for the attempt have no result
+      result ? result.status : ""
+    );
+  });
+
+  return cells;
+};
+
+// Stops spreadsheet apps from running answers such as "=1+1" as formulas
+const escapeCsv = (value) => {
+  if (value == null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Cursor over a quiz's submitted attempts joined with the taker's name
+ * and email, oldest first.
+ */
+const submissionCursor = (quiz) =>
+  Attempt.aggregate([
+    { $match: { quizId: quiz._id, status: { $ne: "in-progress" } } },
+    { $sort: { startTime: 1 } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: "userId",
+        foreignField: "_id",
+        as: "user",
+      },
+    },
+    { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+/**
+ * Wait until the response can take more data. Resolves to false when the
+ * client went away first, so the export can stop.
+ */
+const waitForDrain = (res) =>
+  new Promise((resolve, reject) => {
+    const settle = (callback, value) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onError);
+      callback(value);
+    };
+    const onDrain = () => settle(resolve, true);
+    const onClose = () => settle(resolve, false);
+    const onError = (err) => settle(reject, err);
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onError);
+  });
+
+/**
+ * Stream the submissions of a quiz as CSV, one row per attempt, honouring
+ * backpressure from the response. Stops when the client disconnects.
+ */
+const streamCsv = async (quiz, res) => {
+  const columns = await exportColumns(quiz);
+  // Resolves to false once the client is gone
+  const write = async (cells) => {
+    if (res.destroyed) return false;
+    if (res.write(`${cells.map(escapeCsv).join(",")}\r\n`)) return true;
+    return waitForDrain(res);
+  };
+
+  const cursor = submissionCursor(quiz);
+  try {
+    if (!(await write(header(columns)))) return;
+    for await (const attempt of cursor) {
+      if (!(await write(row(columns, attempt)))) return;
+    }
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+/**
+ * Stream the submissions of a quiz as an XLSX workbook, one row per attempt.
+ */
+const streamXlsx = async (quiz, res) => {
+  const columns = await exportColumns(quiz);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Submissions");
+
+  const cursor = submissionCursor(quiz);
+  try {
+    sheet.addRow(header(columns)).commit();
+    for await (const attempt of cursor) {
+      if (res.destroyed) return; // Client disconnected
+      sheet.addRow(row(columns, attempt)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = { streamCsv, streamXlsx, EXPORT_FORMATS };
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const AuthCode = require("../models/AuthCode");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const AUTH_CODE_TTL_SECONDS = 60;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    { userId: user._id, tokenVersion: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Issue an access token and a new refresh token for the user. Pass the
+ * family of the token being rotated to keep the sign-in's lineage.
+ */
+const issueTokens = async (user, { family, userAgent, ip } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: userAgent || "",
+    ip: ip || "",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+  });
+
+  const accessToken = signAccessToken(user);
+  const { exp } = jwt.decode(accessToken);
+  return { token: accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+/**
+ * Exchange a refresh token for a fresh pair. The old token is revoked; if
+ * a revoked token is presented again it was probably stolen, so the whole
+ * family is revoked. Resolves to null when the token cannot be used.
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  if (typeof refreshToken !== "string" || !refreshToken) return null;
+
+  const stored = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+  if (!stored) return null;
+  if (stored.revokedAt) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+  if (stored.expiresAt < new Date()) return null;
+
+  const user = await User.findById(stored.userId);
+  if (
+    !user ||
+    user.suspended ||
+    (user.tokenVersion || 0) !== stored.tokenVersion
+  ) {
+    return null;
+  }
+
+  // Only one of two concurrent refreshes may rotate the token
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  return issueTokens(user, { ...meta, family: stored.family });
+};
+
+// Log out one device. Unknown tokens are ignored.
+const revokeRefreshToken = async (refreshToken) => {
+  if (typeof refreshToken !== "string" || !refreshToken) return;
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+/**
+ * Log out every device: bumping tokenVersion invalidates outstanding
+ * access tokens at once, and all refresh tokens are revoked.
+ */
+const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Short-lived code handed to the frontend instead of tokens in the URL
+const createAuthCode = async (user) => {
+  const code = crypto.randomBytes(32).toString("base64url");
+  await AuthCode.create({
+    userId: user._id,
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_SECONDS * 1000),
+  });
+  return code;
+};
+
+/**
+ * Redeem an auth code for a token pair. A code works once; resolves to
+ * null when it is unknown, expired or already used.
+ */
+const exchangeAuthCode = async (code, meta = {}) => {
+  if (typeof code !== "string" || !code) return null;
+
+  const redeemed = await AuthCode.findOneAndUpdate(
+    {
+      codeHash: hashToken(code),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!redeemed) return null;
+
+  const user = await User.findById(redeemed.userId);
+  if (!user || user.suspended) return null;
+
+  return issueTokens(user, meta);
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createAuthCode,
+  exchangeAuthCode,
+};